@@ -0,0 +1,118 @@
+// box_matching.js
+import fs from "fs/promises";
+import path from "path";
+import { iou } from "./detection_postprocess.js";
+
+export const DEFAULT_IOU_THRESHOLD = 0.5;
+
+// Box in page fractions, from bbox_normalized or a pixel bbox and page size
+export function toNormalizedBox(box, page) {
+  if (box.bbox_normalized) return box.bbox_normalized;
+  if (!page.width || !page.height) {
+    throw new Error(
+      `Page ${page.page} needs width and height to use pixel bboxes`
+    );
+  }
+  const [x0, y0, x1, y1] = box.bbox;
+  return [x0 / page.width, y0 / page.height, x1 / page.width, y1 / page.height];
+}
+
+// Greedy one-to-one matching of predictions to ground-truth boxes of the same
+// label on one page, highest score first. Boxes are { label, box, score? }
+// in the same coordinate space.
+// Returns { matches: [{ prediction, truth, iou }], unmatchedPredictions, unmatchedTruth }.
+export function matchBoxes(
+  predictions,
+  groundTruth,
+  iouThreshold = DEFAULT_IOU_THRESHOLD
+) {
+  const available = new Set(groundTruth);
+  const matches = [];
+  const unmatchedPredictions = [];
+
+  const ranked = [...predictions].sort(
+    (a, b) => (b.score ?? 1) - (a.score ?? 1)
+  );
+  for (const prediction of ranked) {
+    let best = null;
+    let bestIou = iouThreshold;
+    for (const truth of available) {
+      if (truth.label !== prediction.label) continue;
+      const overlap = iou(prediction.box, truth.box);
+      if (overlap >= bestIou) {
+        best = truth;
+        bestIou = overlap;
+      }
+    }
+
+    if (best) {
+      available.delete(best);
+      matches.push({ prediction, truth: best, iou: bestIou });
+    } else {
+      unmatchedPredictions.push(prediction);
+    }
+  }
+
+  return { matches, unmatchedPredictions, unmatchedTruth: [...available] };
+}
+
+// Read a labelled-pages file:
+// { "documents": [{ "input": "data/report.pdf",
+//                   "predictions": "output/report_layout_analysis.json",
+//                   "pages": [{ "page": 1, "width": 1275, "height": 1650,
+//                               "boxes": [{ "label": "Title", "bbox": [...] }] }] }] }
+// Evaluation sets add "outline" (generated <name>.json) and "expected"
+// (ground-truth result.json) per document, and boxes may carry their "text"
+// to score OCR. Paths are resolved relative to the labels file. Ground-truth
+// boxes get a normalized `box`.
+export async function loadLabelledPages(filePath) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read labels file ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(data?.documents) || data.documents.length === 0) {
+    throw new Error(`Labels file ${filePath} has no "documents"`);
+  }
+
+  const baseDir = path.dirname(filePath);
+  const resolve = (file) => (file ? path.resolve(baseDir, file) : null);
+
+  return data.documents.map((document, index) => ({
+    name:
+      document.name ||
+      (document.input &&
+        path.basename(document.input, path.extname(document.input))) ||
+      `document ${index + 1}`,
+    input: resolve(document.input),
+    predictions: resolve(document.predictions),
+    outline: resolve(document.outline),
+    expected: resolve(document.expected),
+    pages: (document.pages || []).map((page) => ({
+      page: page.page,
+      boxes: (page.boxes || []).map((box) => ({
+        label: box.label,
+        box: toNormalizedBox(box, page),
+        text: box.text ?? null,
+      })),
+    })),
+  }));
+}
+
+// Predicted boxes per page number from a saved or fresh layout analysis
+export function collectPredictions(analysis) {
+  const byPage = new Map();
+  for (const page of analysis.pages || []) {
+    byPage.set(
+      page.pageNumber,
+      page.detections.map((detection) => ({
+        label: detection.label,
+        box: detection.bbox_normalized,
+        score: detection.confidence,
+        text: detection.extractedText,
+      }))
+    );
+  }
+  return byPage;
+}
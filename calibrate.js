@@ -0,0 +1,300 @@
+// calibrate.js
+import fs from "fs/promises";
+import { parseArgs } from "util";
+import {
+  DEFAULT_OPTIONS,
+  cleanupOCRWorker,
+  cleanupWorkspaces,
+  parseDocument,
+} from "./document_parser.js";
+import {
+  DEFAULT_IOU_THRESHOLD,
+  collectPredictions,
+  loadLabelledPages,
+  matchBoxes,
+} from "./box_matching.js";
+import { LAYOUT_LABELS } from "./layout_labels.js";
+import { saveThresholds } from "./thresholds.js";
+
+const DEFAULT_STEP = 0.05;
+
+const USAGE = `Usage: node calibrate.js [options] <labels.json>
+
+Runs the layout model on hand-labelled pages and reports per-class
+precision/recall at a range of confidence thresholds, with the threshold
+that maximises F1 for each class.
+
+Each document in the labels file is either parsed from its "input" or read
+from a saved "predictions" layout analysis (write it with a low --confidence,
+e.g. 0.05, so low-scoring boxes are included).
+
+Options:
+      --iou <n>          IoU needed for a detection to match a label (default: 0.5)
+      --step <n>         Spacing of the thresholds to test (default: 0.05)
+      --dpi <n>          Rasterization resolution for "input" documents (default: 150)
+      --report <file>    Write the full report as JSON
+      --write <file>     Write the suggested thresholds file for main.js --thresholds
+  -h, --help             Show this help`;
+
+// Error for invalid command-line usage
+class UsageError extends Error {}
+
+function parseNumberOption(values, name, min, max, fallback) {
+  if (values[name] === undefined) return fallback;
+  const value = Number(values[name]);
+  if (Number.isNaN(value) || value <= min || value > max) {
+    throw new UsageError(
+      `--${name} must be a number above ${min} and up to ${max}, got "${values[name]}"`
+    );
+  }
+  return value;
+}
+
+// Parse and validate command-line arguments
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        iou: { type: "string" },
+        step: { type: "string" },
+        dpi: { type: "string" },
+        report: { type: "string" },
+        write: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) {
+    throw new UsageError("Expected exactly one labels file");
+  }
+
+  return {
+    labelsFile: positionals[0],
+    iouThreshold: parseNumberOption(values, "iou", 0, 1, DEFAULT_IOU_THRESHOLD),
+    step: parseNumberOption(values, "step", 0, 0.5, DEFAULT_STEP),
+    dpi: parseNumberOption(values, "dpi", 35, 1200, DEFAULT_OPTIONS.dpi),
+    reportFile: values.report || null,
+    thresholdsFile: values.write || null,
+  };
+}
+
+// Thresholds to test: step, 2*step, ... below 1
+function thresholdSteps(step) {
+  const steps = [];
+  for (let i = 1; i * step < 1; i++) {
+    steps.push(parseFloat((i * step).toFixed(4)));
+  }
+  return steps;
+}
+
+// Predictions for every labelled page of a document
+async function predictDocument(document, cli, lowestThreshold) {
+  if (document.predictions) {
+    console.log(`📂 Using saved predictions ${document.predictions}`);
+    const analysis = JSON.parse(
+      await fs.readFile(document.predictions, "utf8")
+    );
+    return collectPredictions(analysis);
+  }
+
+  if (!document.input) {
+    throw new Error(`${document.name} needs "input" or "predictions"`);
+  }
+
+  // Raw detector output: nothing filtered above the lowest tested threshold
+  // and no overlap post-processing, which would shift scores. Only the
+  // detector runs: no OCR, formula model or output files.
+  console.log(`📄 Parsing ${document.input}`);
+  const analysis = await parseDocument(document.input, {
+    confidenceThreshold: lowestThreshold,
+    classThresholds: {},
+    ocr: false,
+    formula: { enabled: false },
+    formats: [],
+    postprocess: { enabled: false },
+    pages: document.pages.map((page) => page.page),
+    dpi: cli.dpi,
+  });
+  return collectPredictions(analysis);
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? parseFloat((numerator / denominator).toFixed(4)) : 0;
+}
+
+// Per-class TP/FP/FN, precision, recall and F1 at each threshold
+function scoreThresholds(pages, steps, iouThreshold) {
+  const results = {};
+  for (const label of LAYOUT_LABELS) {
+    results[label] = steps.map((threshold) => ({
+      threshold,
+      truePositives: 0,
+      falsePositives: 0,
+      falseNegatives: 0,
+    }));
+  }
+
+  for (const { predictions, truth } of pages) {
+    steps.forEach((threshold, index) => {
+      const { matches, unmatchedPredictions, unmatchedTruth } = matchBoxes(
+        predictions.filter((p) => p.score >= threshold),
+        truth,
+        iouThreshold
+      );
+      const count = (boxes, field) =>
+        boxes.forEach((box) => {
+          if (results[box.label]) results[box.label][index][field]++;
+        });
+      count(
+        matches.map((m) => m.truth),
+        "truePositives"
+      );
+      count(unmatchedPredictions, "falsePositives");
+      count(unmatchedTruth, "falseNegatives");
+    });
+  }
+
+  for (const rows of Object.values(results)) {
+    for (const row of rows) {
+      row.precision = ratio(
+        row.truePositives,
+        row.truePositives + row.falsePositives
+      );
+      row.recall = ratio(
+        row.truePositives,
+        row.truePositives + row.falseNegatives
+      );
+      row.f1 = ratio(
+        2 * row.precision * row.recall,
+        row.precision + row.recall
+      );
+    }
+  }
+  return results;
+}
+
+// Threshold with the best F1 per class (the higher one on ties); classes
+// without labelled boxes, or never matched at any threshold, get no suggestion
+function suggestThresholds(results) {
+  const suggestions = {};
+  for (const [label, rows] of Object.entries(results)) {
+    const labelled = rows[0].truePositives + rows[0].falseNegatives;
+    if (labelled === 0) continue;
+    const best = rows.reduce((a, b) => (b.f1 >= a.f1 ? b : a));
+    if (best.f1 > 0) suggestions[label] = best.threshold;
+  }
+  return suggestions;
+}
+
+function printReport(results, suggestions) {
+  console.log("\n" + "=".repeat(60));
+  console.log("📊 CALIBRATION REPORT");
+  console.log("=".repeat(60));
+
+  for (const [label, rows] of Object.entries(results)) {
+    const labelled = rows[0].truePositives + rows[0].falseNegatives;
+    const predicted = rows[0].truePositives + rows[0].falsePositives;
+    if (labelled === 0 && predicted === 0) continue;
+
+    console.log(
+      `\n🏷️  ${label} (${labelled} labelled)${
+        suggestions[label] !== undefined
+          ? ` - suggested threshold ${suggestions[label]}`
+          : " - no suggestion"
+      }`
+    );
+    console.log("  threshold  precision  recall  f1      tp   fp   fn");
+    rows.forEach((row) => {
+      console.log(
+        `  ${row.threshold.toFixed(2).padEnd(9)}  ${row.precision
+          .toFixed(3)
+          .padEnd(9)}  ${row.recall.toFixed(3).padEnd(6)}  ${row.f1
+          .toFixed(3)
+          .padEnd(6)}  ${String(row.truePositives).padEnd(3)}  ${String(
+          row.falsePositives
+        ).padEnd(3)}  ${row.falseNegatives}`
+      );
+    });
+  }
+}
+
+// Command-line entry point
+async function main() {
+  let cli;
+  try {
+    cli = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (cli.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    const documents = await loadLabelledPages(cli.labelsFile);
+    const steps = thresholdSteps(cli.step);
+
+    // Pair each labelled page with its predictions
+    const pages = [];
+    for (const document of documents) {
+      if (document.pages.length === 0) continue; // no labelled boxes
+      const predictions = await predictDocument(document, cli, steps[0]);
+      for (const page of document.pages) {
+        if (!predictions.has(page.page)) {
+          console.warn(`⚠️  No predictions for page ${page.page}, skipped`);
+          continue;
+        }
+        pages.push({
+          predictions: predictions.get(page.page),
+          truth: page.boxes,
+        });
+      }
+    }
+    console.log(`✅ Calibrating on ${pages.length} labelled pages`);
+
+    const results = scoreThresholds(pages, steps, cli.iouThreshold);
+    const suggestions = suggestThresholds(results);
+    printReport(results, suggestions);
+
+    if (cli.reportFile) {
+      const report = {
+        labelsFile: cli.labelsFile,
+        iouThreshold: cli.iouThreshold,
+        pages: pages.length,
+        suggestedThresholds: suggestions,
+        classes: results,
+      };
+      await fs.writeFile(cli.reportFile, JSON.stringify(report, null, 2));
+      console.log(`\n💾 Report saved to ${cli.reportFile}`);
+    }
+    if (cli.thresholdsFile) {
+      await saveThresholds(
+        cli.thresholdsFile,
+        DEFAULT_OPTIONS.confidenceThreshold,
+        suggestions
+      );
+      console.log(`💾 Suggested thresholds saved to ${cli.thresholdsFile}`);
+    }
+  } catch (error) {
+    console.error("❌ Calibration failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await cleanupOCRWorker();
+    await cleanupWorkspaces();
+  }
+}
+
+main();
@@ -0,0 +1,263 @@
+// chunking.js
+import {
+  BULLET,
+  NUMBERING,
+  hasHeading,
+  nodeToMarkdown,
+} from "./export_utils.js";
+
+// Default settings for the chunk export
+export const DEFAULT_CHUNKING = {
+  maxTokens: 512, // chunk size; a larger table or figure still stays whole
+  overlapTokens: 64, // text repeated from the end of the previous chunk
+  countTokens: null, // (text) => tokens, estimateTokens() when null
+};
+
+// Content kept whole in one chunk
+const ATOMIC_TYPES = new Set(["table", "figure", "formula"]);
+
+// Words, numbers and punctuation marks; Chinese and Japanese characters
+// count one each since they are not separated by spaces
+const TOKEN_PATTERN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{M}\p{N}]/gu;
+
+// Sentence ends: ". " "! " "? ", and the ideographic full stop and the
+// fullwidth "!" and "?" that are not followed by a space
+const SENTENCE_END = /(?<=[.!?])\s+|(?<=[\u3002\uFF01\uFF1F])/u;
+
+// Periods that end an abbreviation or an initial rather than a sentence:
+// "Fig. 3", "e.g. this", "J. Smith"
+const ABBREVIATION =
+  /(?:^|[\s(])(?:figs?|eqs?|tab|sec|ch|no|vol|pp?|cf|vs|al|e\.g|i\.e|dr|mrs?|ms|prof|st)\.$|(?:^|\s)\p{Lu}\.$/iu;
+
+// Rough token count for sizing chunks. Subword tokenizers give somewhat
+// more tokens for long or rare words; pass countTokens for exact budgets.
+export function estimateTokens(text) {
+  return (text.match(TOKEN_PATTERN) || []).length;
+}
+
+// Settings merged over the defaults; throws on sizes that can't be packed
+export function resolveChunking(options = {}) {
+  const settings = { ...DEFAULT_CHUNKING, ...options };
+  const { maxTokens, overlapTokens } = settings;
+  if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+    throw new Error(
+      `Chunk size must be a positive whole number of tokens, got ${JSON.stringify(
+        maxTokens
+      )}`
+    );
+  }
+  if (
+    !Number.isInteger(overlapTokens) ||
+    overlapTokens < 0 ||
+    overlapTokens >= maxTokens
+  ) {
+    throw new Error(
+      `Chunk overlap must be a whole number of tokens below the chunk size (${maxTokens}), got ${JSON.stringify(
+        overlapTokens
+      )}`
+    );
+  }
+  return { ...settings, countTokens: settings.countTokens || estimateTokens };
+}
+
+// Whether a piece ends before the sentence does: a list marker on its own
+// ("1.", "a)", "-") or an abbreviation
+function continuesSentence(piece) {
+  const marker = `${piece.trim()} `;
+  return (
+    marker.replace(NUMBERING, "") === "" ||
+    marker.replace(BULLET, "") === "" ||
+    ABBREVIATION.test(piece.trim())
+  );
+}
+
+// Sentences of a paragraph, not broken after list markers or abbreviations
+function splitSentences(paragraph) {
+  const sentences = [];
+  for (const part of paragraph.split(SENTENCE_END)) {
+    if (!part.trim()) continue;
+    const previous = sentences[sentences.length - 1];
+    if (previous !== undefined && continuesSentence(previous)) {
+      sentences[sentences.length - 1] = `${previous} ${part}`;
+    } else {
+      sentences.push(part);
+    }
+  }
+  return sentences;
+}
+
+// Pieces of a text that fit in a chunk: sentences (or the whole paragraph
+// when `bySentence` is false), and runs of words for those longer than
+// maxTokens. `paragraphStart` marks the pieces that begin a paragraph.
+function textPieces(text, { maxTokens, countTokens }, bySentence = true) {
+  const pieces = [];
+  for (const paragraph of text.split(/\n{2,}/)) {
+    const sentences = bySentence
+      ? splitSentences(paragraph)
+      : [paragraph].filter((p) => p.trim());
+    sentences.forEach((sentence, index) => {
+      let paragraphStart = index === 0;
+      if (countTokens(sentence) <= maxTokens) {
+        pieces.push({ text: sentence.trim(), paragraphStart });
+        return;
+      }
+      let words = [];
+      let tokens = 0;
+      for (const word of sentence.match(/\S+/g)) {
+        const wordTokens = countTokens(word);
+        if (words.length > 0 && tokens + wordTokens > maxTokens) {
+          pieces.push({ text: words.join(" "), paragraphStart });
+          paragraphStart = false;
+          words = [];
+          tokens = 0;
+        }
+        words.push(word);
+        tokens += wordTokens;
+      }
+      pieces.push({ text: words.join(" "), paragraphStart });
+    });
+  }
+  return pieces;
+}
+
+// Units a chunk is packed from, in reading order: one per table, figure,
+// formula or list item, one per sentence of other content
+function nodeUnits(node, settings, baseDir) {
+  const text = nodeToMarkdown(node, { baseDir });
+  if (!text) return [];
+
+  const element = {
+    id: node.id,
+    type: node.type,
+    page: node.page,
+    bbox: node.bbox,
+    bbox_normalized: node.bbox_normalized,
+  };
+  if (ATOMIC_TYPES.has(node.type)) {
+    return [
+      {
+        element,
+        text,
+        tokens: settings.countTokens(text),
+        atomic: true,
+        paragraphStart: true,
+      },
+    ];
+  }
+  const bySentence = node.type !== "list_item";
+  return textPieces(text, settings, bySentence).map((piece) => ({
+    element,
+    ...piece,
+    tokens: settings.countTokens(piece.text),
+    atomic: false,
+  }));
+}
+
+// Trailing sentences of a chunk to repeat at the start of the next one,
+// at most `budget` tokens; tables and figures are never repeated
+function overlapUnits(units, budget) {
+  const overlap = [];
+  let tokens = 0;
+  for (let i = units.length - 1; i >= 0; i--) {
+    const unit = units[i];
+    if (unit.atomic || tokens + unit.tokens > budget) break;
+    overlap.unshift(unit);
+    tokens += unit.tokens;
+  }
+  return overlap;
+}
+
+function makeChunk(units, headingPath, settings) {
+  let text = "";
+  units.forEach((unit, index) => {
+    const previous = units[index - 1];
+    if (!previous) {
+      text = unit.text;
+    } else if (previous.element.id === unit.element.id) {
+      text += (unit.paragraphStart ? "\n\n" : " ") + unit.text;
+    } else {
+      const listItems =
+        previous.element.type === "list_item" &&
+        unit.element.type === "list_item";
+      text += (listItems ? "\n" : "\n\n") + unit.text;
+    }
+  });
+
+  const elements = [
+    ...new Map(units.map((unit) => [unit.element.id, unit.element])).values(),
+  ];
+  const pages = elements.map((element) => element.page);
+  return {
+    text,
+    tokens: settings.countTokens(text),
+    headingPath,
+    heading: headingPath.join(" > "),
+    pageStart: Math.min(...pages),
+    pageEnd: Math.max(...pages),
+    elementIds: elements.map((element) => element.id),
+    elements,
+  };
+}
+
+// Pack the content of one section into chunks of at most maxTokens. A chunk
+// after the first starts with up to overlapTokens of the previous chunk's
+// closing sentences.
+function packSection(units, headingPath, settings, chunks) {
+  let current = [];
+  let tokens = 0;
+
+  for (const unit of units) {
+    if (current.length > 0 && tokens + unit.tokens > settings.maxTokens) {
+      chunks.push(makeChunk(current, headingPath, settings));
+      current = overlapUnits(
+        current,
+        Math.min(settings.overlapTokens, settings.maxTokens - unit.tokens)
+      );
+      tokens = current.reduce((sum, u) => sum + u.tokens, 0);
+    }
+    current.push(unit);
+    tokens += unit.tokens;
+  }
+  if (current.length > 0) {
+    chunks.push(makeChunk(current, headingPath, settings));
+  }
+}
+
+// Split documentStructure into retrieval chunks that never cross a section
+// boundary. Each chunk carries its text (Markdown, as in buildMarkdown()),
+// token count, heading path ("2 Methods > 2.3 Results"), page span and the
+// IDs and boxes of its elements. Tables, figures and formulas are never
+// split; other text is split between sentences. Options are those of
+// DEFAULT_CHUNKING plus `baseDir` for figure image paths.
+export function buildChunks(documentStructure, options = {}) {
+  const { baseDir = null, ...chunking } = options;
+  const settings = resolveChunking(chunking);
+  const chunks = [];
+
+  const walk = (nodes, headingPath) => {
+    let units = [];
+    for (const node of nodes) {
+      if (node.children) {
+        packSection(units, headingPath, settings, chunks);
+        units = [];
+        walk(
+          node.children,
+          hasHeading(node) ? [...headingPath, node.title.trim()] : headingPath
+        );
+      } else {
+        units.push(...nodeUnits(node, settings, baseDir));
+      }
+    }
+    packSection(units, headingPath, settings, chunks);
+  };
+
+  walk(documentStructure, []);
+
+  return chunks.map((chunk, index) => ({ id: `chunk${index + 1}`, ...chunk }));
+}
+
+// One JSON object per line
+export function chunksToJsonl(chunks) {
+  return chunks.map((chunk) => JSON.stringify(chunk) + "\n").join("");
+}
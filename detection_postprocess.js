@@ -0,0 +1,251 @@
+// detection_postprocess.js
+
+// Default settings for postprocessDetections()
+export const DEFAULT_POSTPROCESS = {
+  enabled: true,
+  // Same-class boxes overlapping more than this (IoU) are duplicates
+  iouThreshold: 0.5,
+  // A box with this much of its area inside another box is nested in it
+  containmentThreshold: 0.85,
+  // A box with at least this much of its area under a higher priority box of
+  // another class is trimmed to its largest part outside that box
+  overlapThreshold: 0.2,
+  // When boxes of different classes overlap, the higher priority wins.
+  // A nested box is only dropped if its container has at least its priority,
+  // so a Section-header inside a Text box survives.
+  classPriority: {
+    Table: 10,
+    Picture: 9,
+    Formula: 8,
+    Title: 7,
+    "Section-header": 6,
+    Caption: 5,
+    "List-item": 4,
+    Footnote: 3,
+    "Page-header": 2,
+    "Page-footer": 2,
+    Text: 1,
+  },
+  // Labels whose vertically stacked fragments are merged into one box
+  mergeLabels: ["Text"],
+  mergeMaxGap: 0.006, // largest vertical gap between fragments (page height fraction)
+  mergeMaxIndent: 0.02, // largest left-edge offset between fragments (page width fraction)
+  mergeMinOverlap: 0.8, // horizontal overlap as a fraction of the narrower fragment
+};
+
+function boxArea([x0, y0, x1, y1]) {
+  return Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+}
+
+function intersectionArea(a, b) {
+  return boxArea([
+    Math.max(a[0], b[0]),
+    Math.max(a[1], b[1]),
+    Math.min(a[2], b[2]),
+    Math.min(a[3], b[3]),
+  ]);
+}
+
+// Intersection over union of two [x0, y0, x1, y1] boxes
+export function iou(a, b) {
+  const intersection = intersectionArea(a, b);
+  const union = boxArea(a) + boxArea(b) - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+// Fraction of `inner`'s area that lies inside `outer`
+export function containment(inner, outer) {
+  const area = boxArea(inner);
+  return area > 0 ? intersectionArea(inner, outer) / area : 0;
+}
+
+function unionBox(a, b) {
+  return [
+    Math.min(a[0], b[0]),
+    Math.min(a[1], b[1]),
+    Math.max(a[2], b[2]),
+    Math.max(a[3], b[3]),
+  ];
+}
+
+function priorityOf(label, settings) {
+  return settings.classPriority[label] ?? 0;
+}
+
+// Decide which of two overlapping boxes to drop, or null to keep both
+function pickLoser(a, b, settings) {
+  const sameClass = a.label === b.label;
+  const priorityA = priorityOf(a.label, settings);
+  const priorityB = priorityOf(b.label, settings);
+  const higherScore = a.score >= b.score ? a : b;
+  const lowerScore = higherScore === a ? b : a;
+
+  // Near-identical boxes: keep the same-class best score, or the higher priority
+  if (iou(a.bbox, b.bbox) > settings.iouThreshold) {
+    if (sameClass || priorityA === priorityB) return lowerScore;
+    return priorityA > priorityB ? b : a;
+  }
+
+  // Nested boxes: drop the inner one unless it outranks its container
+  const aInB = containment(a.bbox, b.bbox) >= settings.containmentThreshold;
+  const bInA = containment(b.bbox, a.bbox) >= settings.containmentThreshold;
+  if (aInB && bInA) return lowerScore;
+  if (aInB && (sameClass || priorityB >= priorityA)) return a;
+  if (bInA && (sameClass || priorityA >= priorityB)) return b;
+  return null;
+}
+
+// Largest part of `box` above, below, left or right of `by`. When the
+// overlap covers a whole side of `box`, that is all of `box` outside `by`.
+function trimBox(box, by) {
+  const [x0, y0, x1, y1] = box;
+  const parts = [
+    [x0, y0, x1, Math.min(y1, by[1])],
+    [x0, Math.max(y0, by[3]), x1, y1],
+    [x0, y0, Math.min(x1, by[0]), y1],
+    [Math.max(x0, by[2]), y0, x1, y1],
+  ];
+  return parts.reduce((best, part) =>
+    boxArea(part) > boxArea(best) ? part : best
+  );
+}
+
+// Trim `lower` off a higher priority box of another class that covers
+// enough of it
+function trimOverlap(higher, lower, settings) {
+  if (
+    higher.label !== lower.label &&
+    priorityOf(higher.label, settings) > priorityOf(lower.label, settings) &&
+    containment(lower.bbox, higher.bbox) >= settings.overlapThreshold
+  ) {
+    lower.bbox = trimBox(lower.bbox, higher.bbox);
+  }
+}
+
+// Suppress duplicates and nested boxes, strongest candidates first. Kept
+// boxes never have a lower priority than later candidates, so a partial
+// overlap only trims the candidate.
+function suppressOverlaps(candidates, settings) {
+  const ranked = [...candidates].sort(
+    (a, b) =>
+      priorityOf(b.label, settings) - priorityOf(a.label, settings) ||
+      b.score - a.score
+  );
+
+  const kept = [];
+  for (const candidate of ranked) {
+    let keep = true;
+    for (let i = 0; i < kept.length; i++) {
+      const loser = pickLoser(kept[i], candidate, settings);
+      if (loser === candidate) {
+        // A dropped duplicate still vouches for the box that replaced it
+        kept[i].score = Math.max(kept[i].score, candidate.score);
+        keep = false;
+        break;
+      }
+      if (loser === kept[i]) {
+        candidate.score = Math.max(candidate.score, kept[i].score);
+        kept.splice(i--, 1);
+      } else if (!loser) {
+        trimOverlap(kept[i], candidate, settings);
+      }
+    }
+    if (keep) kept.push(candidate);
+  }
+  return kept;
+}
+
+// Two same-label fragments stacked directly on top of each other
+function areFragments(upper, lower, pageWidth, pageHeight, settings) {
+  const gap = lower.bbox[1] - upper.bbox[3];
+  const indent = Math.abs(lower.bbox[0] - upper.bbox[0]);
+  const overlap =
+    Math.min(upper.bbox[2], lower.bbox[2]) -
+    Math.max(upper.bbox[0], lower.bbox[0]);
+  const narrower = Math.min(
+    upper.bbox[2] - upper.bbox[0],
+    lower.bbox[2] - lower.bbox[0]
+  );
+
+  return (
+    gap <= settings.mergeMaxGap * pageHeight &&
+    indent <= settings.mergeMaxIndent * pageWidth &&
+    narrower > 0 &&
+    overlap / narrower >= settings.mergeMinOverlap
+  );
+}
+
+// Merge paragraph boxes the detector split into several stacked pieces
+function mergeFragments(detections, pageWidth, pageHeight, settings) {
+  const mergeLabels = new Set(settings.mergeLabels);
+  const result = detections.filter((d) => !mergeLabels.has(d.label));
+  let merged = 0;
+
+  for (const label of mergeLabels) {
+    const boxes = detections
+      .filter((d) => d.label === label)
+      .sort((a, b) => a.bbox[1] - b.bbox[1]);
+
+    const groups = [];
+    for (const box of boxes) {
+      const group = groups.find((g) =>
+        areFragments(g, box, pageWidth, pageHeight, settings)
+      );
+      if (group) {
+        group.bbox = unionBox(group.bbox, box.bbox);
+        group.score = Math.max(group.score, box.score);
+        group.mergedFrom = (group.mergedFrom || 1) + 1;
+        merged++;
+      } else {
+        groups.push({ ...box });
+      }
+    }
+    result.push(...groups);
+  }
+
+  return { detections: result, merged };
+}
+
+// Clean up raw layout predictions before text extraction: class-aware NMS,
+// cross-class overlap resolution by priority (boxes partly under a higher
+// priority box are trimmed), and merging of fragmented paragraphs.
+// Candidates are { bbox: [x0, y0, x1, y1], label, score } in pixels; extra
+// fields are kept. Pure function, so it can run on bbox fixtures without the
+// model. Returns { detections, suppressed, merged }.
+export function postprocessDetections(
+  candidates,
+  { pageWidth, pageHeight, ...options } = {}
+) {
+  const settings = {
+    ...DEFAULT_POSTPROCESS,
+    ...options,
+    classPriority: {
+      ...DEFAULT_POSTPROCESS.classPriority,
+      ...options.classPriority,
+    },
+  };
+  if (!settings.enabled) {
+    return { detections: candidates, suppressed: 0, merged: 0 };
+  }
+
+  const kept = suppressOverlaps(
+    candidates.map((candidate) => ({ ...candidate })),
+    settings
+  );
+  const { detections, merged } = mergeFragments(
+    kept,
+    pageWidth,
+    pageHeight,
+    settings
+  );
+
+  // Merged boxes can now swallow boxes they overlapped only in part
+  const final =
+    merged > 0 ? suppressOverlaps(detections, settings) : detections;
+
+  return {
+    detections: final,
+    suppressed: candidates.length - merged - final.length,
+    merged,
+  };
+}
@@ -4,27 +4,32 @@ set -e
 INPUT_DIR="/app/input"
 OUTPUT_DIR="/app/output"
 
-# Find all PDFs in input directory
-PDFS=$(find "$INPUT_DIR" -type f -name '*.pdf')
+# Find all PDFs and page images in input directory
+INPUTS=$(find "$INPUT_DIR" -type f \( -iname '*.pdf' -o -iname '*.png' \
+  -o -iname '*.jpg' -o -iname '*.jpeg' -o -iname '*.tif' -o -iname '*.tiff' \))
 
-if [ -z "$PDFS" ]; then
-  echo "No PDF files found in $INPUT_DIR."
+if [ -z "$INPUTS" ]; then
+  echo "No PDF or image files found in $INPUT_DIR."
   exit 1
 fi
 
-# Process each PDF
-for pdf in $PDFS; do
-  filename=$(basename "$pdf" .pdf)
-  output_json="$OUTPUT_DIR/${filename}.json"
-  echo "Processing $pdf -> $output_json"
-  node main.js "$pdf" > /dev/null
-  # Move the output JSON to the correct filename
-  if [ -f "/app/output/document_layout_analysis.json" ]; then
-    mv /app/output/document_layout_analysis.json "$output_json"
+# Process every input in one run so the model is loaded only once.
+# Each document gets $OUTPUT_DIR/<name>/ and the run writes
+# $OUTPUT_DIR/batch_manifest.json with per-file status and errors.
+status=0
+node main.js --quiet --output-dir "$OUTPUT_DIR" "$INPUT_DIR" || status=$?
+
+# Exit code 6 means some documents failed; the manifest has the details
+if [ "$status" -ne 0 ] && [ "$status" -ne 6 ]; then
+  exit "$status"
+fi
+
+# Expose each outline as $OUTPUT_DIR/<name>.json
+for dir in "$OUTPUT_DIR"/*/; do
+  name=$(basename "$dir")
+  if [ -f "$dir/$name.json" ]; then
+    cp "$dir/$name.json" "$OUTPUT_DIR/$name.json"
   fi
-  # Optionally move annotated images, etc. if needed
-  # mv /app/output/annotated_frames ...
 done
 
-# Optionally, create a summary output.json (could be a merge or just a copy)
-cp "$OUTPUT_DIR"/*.json "$OUTPUT_DIR/output.json" 2>/dev/null || true
+exit "$status"
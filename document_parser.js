@@ -0,0 +1,2132 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createCanvas, loadImage } from "canvas";
+import { AutoModel, AutoProcessor, RawImage } from "@huggingface/transformers";
+import { buildOutline, isPlaceholderText } from "./outline_utils.js";
+import { buildHtml, buildMarkdown } from "./export_utils.js";
+import { resolveReadingOrder } from "./reading_order.js";
+import { postprocessDetections } from "./detection_postprocess.js";
+import {
+  mapToSource,
+  preprocessImage,
+  preprocessPage,
+  resolvePreprocess,
+} from "./image_preprocess.js";
+import { id2label } from "./layout_labels.js";
+import { findFurniture } from "./furniture.js";
+import {
+  DEFAULT_AUTO_LANGUAGES,
+  LANGUAGE_SCRIPTS,
+  detectLanguage,
+  detectScript,
+  scriptModels,
+} from "./language_detection.js";
+import {
+  TEXT_DIRECTIONS,
+  VERTICAL_SCRIPTS,
+  isVerticalLanguage,
+  isVerticalPage,
+  scriptDirection,
+  verticalLanguage,
+} from "./text_direction.js";
+import {
+  HEADING_LABELS,
+  STYLE_LABELS,
+  inferHeadingLevels,
+  measureTextStyle,
+} from "./heading_levels.js";
+import { getClassThreshold, validateClassThresholds } from "./thresholds.js";
+import { DEFAULT_DPI, getPdfInfo, rasterizePage } from "./pdf_rasterizer.js";
+import {
+  detectInputType,
+  listImagePages,
+  renderImagePage,
+} from "./image_input.js";
+import {
+  extractTextLayer,
+  getWordsInRegion,
+  hasTextLayer,
+} from "./text_layer.js";
+import {
+  linesFromBlocks,
+  linesFromWords,
+  linesToText,
+  toUnitConfidence,
+} from "./ocr_layout.js";
+import { recognizeTableStructure, tableToText } from "./table_structure.js";
+import { recognizeFormula, resolveFormula } from "./formula_recognition.js";
+import { CAPTIONED_LABELS, linkCaptions } from "./figures.js";
+import { buildSearchablePdf } from "./searchable_pdf.js";
+import { buildChunks, chunksToJsonl, resolveChunking } from "./chunking.js";
+
+// Per-run temp workspaces that still exist, removed by cleanupWorkspaces()
+const activeWorkspaces = new Set();
+
+// Optional libraries are loaded on first use so importing this module has no side effects
+let createWorker, Jimp;
+let ocrAvailable = false;
+let dependenciesLoaded = false;
+
+async function loadOptionalDependencies() {
+  if (dependenciesLoaded) return;
+  dependenciesLoaded = true;
+
+  // Try to import OCR libraries - using tesseract.js worker approach
+  try {
+    const tesseractModule = await import("tesseract.js");
+    createWorker = tesseractModule.createWorker;
+    console.log("✅ tesseract.js loaded successfully");
+    ocrAvailable = true;
+  } catch (e) {
+    console.warn("⚠️  tesseract.js not available:", e.message);
+  }
+
+  try {
+    const jimpModule = await import("jimp");
+    Jimp = jimpModule.default;
+    console.log("✅ Jimp loaded for image processing");
+  } catch (e) {
+    console.warn("⚠️  Jimp not available for image processing");
+  }
+}
+
+// Output formats written to outputDir
+export const OUTPUT_FORMATS = [
+  "json",
+  "csv",
+  "md",
+  "html",
+  "outline",
+  "tables",
+  "figures",
+  "pdf",
+  "chunks",
+];
+
+// Default options for parseDocument()
+export const DEFAULT_OPTIONS = {
+  confidenceThreshold: 0.50, // Default minimum detection score
+  classThresholds: {}, // Per-label overrides, e.g. { Formula: 0.3 }
+  ocr: true, // OCR fallback for regions without a text layer
+  ocrLanguage: "eng", // Tesseract language(s): eng, eng+fra, etc., or "auto" to detect per page
+  ocrLanguages: DEFAULT_AUTO_LANGUAGES, // Candidates for "auto"
+  tessdataDir: null, // Local <lang>.traineddata directory for offline OCR (downloaded when null)
+  textDirection: "auto", // Reading direction: "auto" (per page), "ltr", "rtl" or "ttb" (vertical)
+  pages: null, // Page selection such as "3-7" or "1,4-6" (all pages when null)
+  dpi: DEFAULT_DPI, // Rasterization resolution
+  pageByPage: true, // Rasterize each page just before processing it
+  outputDir: null, // Output files are written here when set
+  formats: ["json", "csv", "outline", "figures"], // Subset of OUTPUT_FORMATS
+  annotate: false, // Annotated page images (needs outputDir)
+  annotatedDir: null, // Defaults to <outputDir>/annotated_frames
+  tempDir: null, // Parent of the per-run workspace (defaults to the OS temp dir)
+  postprocess: {}, // Overrides for DEFAULT_POSTPROCESS (NMS, priorities, merging)
+  preprocess: {}, // Overrides for DEFAULT_PREPROCESS (crop cleanup, page deskew)
+  formula: {}, // Overrides for DEFAULT_FORMULA (LaTeX recognition of Formula regions)
+  figureText: false, // Also read the text inside pictures (labels, diagram text)
+  pdfFont: null, // TTF/OTF font for the searchable PDF text layer (non-Latin scripts, needs @pdf-lib/fontkit)
+  pdfLayoutBoxes: false, // Also outline the layout boxes in the searchable PDF as annotations
+  chunking: {}, // Overrides for DEFAULT_CHUNKING (chunk size and overlap in tokens)
+};
+
+// Error raised by parseDocument() with the pipeline stage that failed
+// ("conversion", "model" or "ocr") so callers can react to it
+export class PipelineError extends Error {
+  constructor(stage, message, cause) {
+    super(message);
+    this.name = "PipelineError";
+    this.stage = stage;
+    this.cause = cause;
+  }
+}
+
+// Parse a page selection like "3-7" or "1,4-6" into a sorted list of page numbers
+export function parsePageRange(pages) {
+  if (pages === null || pages === undefined || pages === "") return null;
+  if (Array.isArray(pages)) return [...new Set(pages)].sort((a, b) => a - b);
+
+  const selected = new Set();
+  for (const part of String(pages).split(",")) {
+    const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid page range "${part.trim()}" in "${pages}"`);
+    }
+    const start = parseInt(match[1]);
+    const end = match[2] ? parseInt(match[2]) : start;
+    if (start < 1 || end < start) {
+      throw new Error(`Invalid page range "${part.trim()}" in "${pages}"`);
+    }
+    for (let page = start; page <= end; page++) selected.add(page);
+  }
+  return [...selected].sort((a, b) => a - b);
+}
+
+// Merge caller options with defaults and derive the output paths
+function resolveConfig(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  const unknownFormats = config.formats.filter(
+    (format) => !OUTPUT_FORMATS.includes(format)
+  );
+  if (unknownFormats.length > 0) {
+    throw new Error(
+      `Unknown output format(s): ${unknownFormats.join(
+        ", "
+      )} (expected ${OUTPUT_FORMATS.join(", ")})`
+    );
+  }
+  validateClassThresholds(config.classThresholds);
+  if (
+    config.textDirection !== "auto" &&
+    !TEXT_DIRECTIONS.includes(config.textDirection)
+  ) {
+    throw new Error(
+      `Unknown text direction "${
+        config.textDirection
+      }" (expected auto, ${TEXT_DIRECTIONS.join(", ")})`
+    );
+  }
+
+  // "auto" OCRs every page with the model for its script among the candidates
+  const autoLanguage = config.ocrLanguage === "auto";
+  if (autoLanguage) scriptModels(config.ocrLanguages); // throws on unknown codes
+
+  return {
+    ...config,
+    pages: parsePageRange(config.pages),
+    preprocess: resolvePreprocess(config.preprocess),
+    formula: resolveFormula(config.formula),
+    chunking: resolveChunking(config.chunking),
+    autoLanguage,
+    ocrLanguages: autoLanguage
+      ? config.ocrLanguages
+      : config.ocrLanguage.split("+"),
+    annotatedDir:
+      config.annotatedDir ||
+      (config.outputDir
+        ? path.join(config.outputDir, "annotated_frames")
+        : null),
+    annotate: Boolean(
+      config.annotate && (config.annotatedDir || config.outputDir)
+    ),
+    ocr: Boolean(config.ocr && ocrAvailable),
+  };
+}
+
+// Colors for different element types
+const colors = {
+  Title: "#FF0000",
+  "Section-header": "#00FF00",
+  Text: "#0000FF",
+  "List-item": "#FF00FF",
+  Table: "#FFFF00",
+  Picture: "#00FFFF",
+  Caption: "#FFA500",
+  Formula: "#800080",
+  Footnote: "#808080",
+  "Page-header": "#008000",
+  "Page-footer": "#800000",
+};
+
+// OCR workers shared by all text extractions and documents, one per Tesseract
+// language setting ("eng", "eng+fra", "jpn+eng", ...)
+const ocrWorkers = new Map();
+
+// Worker options that load traineddata from a local directory (offline).
+// Without a directory tesseract.js downloads the data on first use.
+async function traineddataOptions(language, tessdataDir) {
+  if (!tessdataDir) return {};
+
+  const gzipped = [];
+  for (const lang of language.split("+")) {
+    const file = path.join(tessdataDir, `${lang}.traineddata`);
+    if (await fileExists(file)) {
+      gzipped.push(false);
+    } else if (await fileExists(`${file}.gz`)) {
+      gzipped.push(true);
+    } else {
+      throw new Error(`No ${lang}.traineddata(.gz) in ${tessdataDir}`);
+    }
+  }
+  if (new Set(gzipped).size > 1) {
+    throw new Error(
+      `Mixed gzipped and plain traineddata for ${language} in ${tessdataDir}`
+    );
+  }
+  return {
+    langPath: path.resolve(tessdataDir),
+    gzip: gzipped[0],
+    cacheMethod: "none", // already on disk, don't copy it into the cwd
+  };
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// OCR worker for a language setting, created on first use
+async function getOCRWorker(language, config) {
+  if (!ocrWorkers.has(language)) {
+    const starting = (async () => {
+      console.log(`🔄 Initializing OCR worker (${language})...`);
+      const worker = await createWorker(
+        language,
+        1,
+        await traineddataOptions(language, config.tessdataDir)
+      );
+      if (isVerticalLanguage(language)) {
+        // Single block of vertically aligned text
+        await worker.setParameters({ tessedit_pageseg_mode: "5" });
+      }
+      console.log(`✅ OCR worker initialized (${language})`);
+      return worker;
+    })();
+    ocrWorkers.set(language, starting);
+  }
+
+  try {
+    return await ocrWorkers.get(language);
+  } catch (error) {
+    ocrWorkers.delete(language); // let a later call retry
+    throw error;
+  }
+}
+
+// Start the OCR workers a parse needs: the configured language, or one per
+// script among the candidate languages for "auto". Returns the usable models
+// ([{ script, language }]); in auto mode a script whose traineddata cannot
+// be loaded is skipped with a warning.
+async function initializeOCRWorkers(config) {
+  if (!ocrAvailable) return [];
+
+  if (!config.autoLanguage) {
+    try {
+      await getOCRWorker(config.ocrLanguage, config);
+    } catch (error) {
+      console.error("❌ Failed to initialize OCR worker:", error.message);
+      throw error;
+    }
+    return [{ script: null, language: config.ocrLanguage }];
+  }
+
+  const models = [];
+  for (const model of scriptModels(config.ocrLanguages)) {
+    try {
+      await getOCRWorker(model.language, config);
+      models.push(model);
+    } catch (error) {
+      console.warn(
+        `⚠️  No OCR model for ${model.script} (${model.language}):`,
+        error.message
+      );
+    }
+  }
+  if (models.length === 0) {
+    throw new Error(
+      `None of the languages ${config.ocrLanguages.join(", ")} could be loaded`
+    );
+  }
+  return models;
+}
+
+// Cleanup OCR workers. Call once when done parsing so the process can exit.
+export async function cleanupOCRWorker() {
+  const starting = [...ocrWorkers.values()];
+  ocrWorkers.clear();
+  for (const workerPromise of starting) {
+    try {
+      await (await workerPromise).terminate();
+    } catch (error) {
+      console.warn("⚠️  Error terminating OCR worker:", error.message);
+    }
+  }
+  if (starting.length > 0) {
+    console.log(`✅ ${starting.length} OCR worker(s) terminated`);
+  }
+}
+
+// Crop a pixel bbox of a page image into a temporary PNG in the workspace
+// (Canvas first, Jimp as fallback) and return its path
+async function cropRegion(imagePath, bbox, config) {
+  // Create temp file for cropped region
+  const tempCropPath = path.join(
+    config.workDir,
+    `crop_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.png`
+  );
+
+  // Method 1: Try using Canvas (existing method)
+  try {
+    const image = await loadImage(imagePath);
+    const cropWidth = bbox[2] - bbox[0];
+    const cropHeight = bbox[3] - bbox[1];
+
+    // Ensure minimum dimensions
+    if (cropWidth < 10 || cropHeight < 10) {
+      throw new Error("Region too small for OCR");
+    }
+
+    const canvas = createCanvas(cropWidth, cropHeight);
+    const ctx = canvas.getContext("2d");
+
+    // Crop the region
+    ctx.drawImage(
+      image,
+      bbox[0],
+      bbox[1], // Source x, y
+      cropWidth,
+      cropHeight, // Source width, height
+      0,
+      0, // Destination x, y
+      cropWidth,
+      cropHeight // Destination width, height
+    );
+
+    // Save cropped image to temp file
+    const buffer = canvas.toBuffer("image/png");
+    await fs.writeFile(tempCropPath, buffer);
+  } catch (canvasError) {
+    console.warn("Canvas crop failed, trying Jimp:", canvasError.message);
+
+    // Method 2: Fallback to Jimp if available
+    if (Jimp) {
+      try {
+        const image = await Jimp.read(imagePath);
+        const cropped = image.crop(
+          bbox[0],
+          bbox[1],
+          bbox[2] - bbox[0],
+          bbox[3] - bbox[1]
+        );
+        await cropped.writeAsync(tempCropPath);
+      } catch (jimpError) {
+        throw new Error(
+          `Both Canvas and Jimp failed: ${canvasError.message}, ${jimpError.message}`
+        );
+      }
+    } else {
+      throw canvasError;
+    }
+  }
+
+  return tempCropPath;
+}
+
+// Region text without lines or a confidence (placeholders, failed OCR)
+function placeholderText(text) {
+  return { text, lines: [], confidence: null };
+}
+
+// OCR function to extract text from image region using tesseract.js worker.
+// Returns { text, lines, confidence }: lines hold their words with boxes in
+// page pixels, the text keeps line and paragraph breaks, and confidence is
+// Tesseract's mean word confidence for the region (0-1).
+async function extractTextFromRegion(imagePath, bbox, elementType, config) {
+  if (!config.ocr) {
+    return placeholderText(`[${elementType} content - OCR not available]`);
+  }
+
+  // Skip OCR for elements that typically don't contain readable text
+  if (elementType === "Picture" && !config.figureText) {
+    return placeholderText(`[${elementType} - image content]`);
+  }
+
+  try {
+    console.log(`🔍 Extracting text from ${elementType} region...`);
+    const tempCropPath = await cropRegion(imagePath, bbox, config);
+
+    // Deskew, upscale and binarize the crop; OCR boxes are mapped back below
+    let ocrInput = tempCropPath;
+    let transform = null;
+    if (config.preprocess.crops) {
+      try {
+        ({ buffer: ocrInput, transform } = await preprocessImage(tempCropPath, {
+          ...config.preprocess,
+          // Skew is measured on horizontal lines
+          deskew: config.preprocess.deskew && !config.vertical,
+          sourceDpi: config.sourceDpi,
+        }));
+      } catch (error) {
+        console.warn("⚠️  Crop preprocessing failed:", error.message);
+      }
+    }
+
+    // Perform OCR using tesseract.js worker, keeping the block layout
+    const worker = await getOCRWorker(config.ocrLanguage, config);
+    const { data } = await worker.recognize(ocrInput, {}, { blocks: true });
+
+    // Clean up temp file
+    try {
+      await fs.unlink(tempCropPath);
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+
+    const lines = linesFromBlocks(data.blocks, (box) => {
+      const [x0, y0, x1, y1] = transform ? mapToSource(box, transform) : box;
+      return [bbox[0] + x0, bbox[1] + y0, bbox[0] + x1, bbox[1] + y1];
+    });
+    const text = linesToText(lines);
+
+    if (text.length > 0) {
+      console.log(
+        `✅ Extracted: "${text.substring(0, 50).replace(/\n/g, " ")}${
+          text.length > 50 ? "..." : ""
+        }"`
+      );
+      return { text, lines, confidence: toUnitConfidence(data.confidence) };
+    } else {
+      return placeholderText(`[${elementType} - text extraction failed]`);
+    }
+  } catch (error) {
+    console.warn(`⚠️  OCR failed for ${elementType}:`, error.message);
+    return {
+      ...placeholderText(`[${elementType} - OCR error]`),
+      ocrFailed: true,
+    };
+  }
+}
+
+// Enhanced function to extract text with retry mechanism. `ocrFailed` is set
+// on the fallback when the last attempt failed with an error, not just
+// found no text.
+async function extractTextWithRetry(
+  imagePath,
+  bbox,
+  elementType,
+  config,
+  maxRetries = 2
+) {
+  let ocrFailed = false;
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const result = await extractTextFromRegion(
+        imagePath,
+        bbox,
+        elementType,
+        config
+      );
+      if (
+        result.text &&
+        !result.text.includes("extraction failed") &&
+        !result.text.includes("OCR error")
+      ) {
+        return result;
+      }
+      ocrFailed = Boolean(result.ocrFailed);
+    } catch (error) {
+      console.warn(`OCR attempt ${attempt} failed:`, error.message);
+      ocrFailed = true;
+    }
+
+    if (attempt < maxRetries) {
+      console.log(`🔄 Retrying OCR (attempt ${attempt + 1}/${maxRetries})...`);
+      await new Promise((resolve) => setTimeout(resolve, 1000)); // Wait 1 second before retry
+    }
+  }
+
+  return { ...placeholderText(`[${elementType} content (Page)]`), ocrFailed }; // Fallback
+}
+
+// Lines and text of a region from the PDF text layer, or null when the
+// layer has no words there. Words are ordered by the script of the region
+// (right to left for Arabic and Hebrew), or in vertical lines on a vertical
+// page.
+function extractTextLayerRegion(pageTextLayer, bbox, image, vertical = false) {
+  if (!hasTextLayer(pageTextLayer)) return null;
+  const words = getWordsInRegion(
+    pageTextLayer,
+    bbox,
+    image.width,
+    image.height
+  );
+  if (words.length === 0) return null;
+
+  const detected = detectScript(words.map((word) => word.text).join(" "));
+  const direction = vertical
+    ? "ttb"
+    : scriptDirection(detected && detected.script);
+  const lines = linesFromWords(words, direction);
+  return { text: linesToText(lines), lines, confidence: null };
+}
+
+// Save a picture as <outputDir>/<documentName>_figures/<figureId>.png when
+// figures are among the output formats. Returns the path, or null.
+async function saveFigure(imagePath, detection, config) {
+  if (!config.outputDir || !config.formats.includes("figures")) return null;
+
+  try {
+    const figuresDir = path.join(
+      config.outputDir,
+      `${config.documentName}_figures`
+    );
+    await fs.mkdir(figuresDir, { recursive: true });
+    const figurePath = path.join(figuresDir, `${detection.figureId}.png`);
+
+    const cropPath = await cropRegion(imagePath, detection.bbox, config);
+    await fs.copyFile(cropPath, figurePath);
+    await fs.unlink(cropPath).catch(() => {});
+    return figurePath;
+  } catch (error) {
+    console.warn(
+      `⚠️  Failed to save figure ${detection.figureId}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+// Recognize a table's rows, columns and cells from the words inside it, read
+// like any other region by extractDetectionText() (text layer first, OCR
+// with retries as fallback), and the ruling lines on the page image. Without
+// words or a recognizable structure the region is returned as plain text
+// (no `table`), so the table is never read twice.
+async function extractTableStructure(
+  imagePath,
+  bbox,
+  pageTextLayer,
+  image,
+  config
+) {
+  const region = await extractDetectionText(
+    imagePath,
+    bbox,
+    "Table",
+    pageTextLayer,
+    image,
+    config
+  );
+
+  const words = region.lines.flatMap((line) => line.words);
+  if (words.length === 0) return region;
+
+  const table = recognizeTableStructure(image, bbox, words);
+  if (!table || table.cells.every((cell) => !cell.text)) return region;
+
+  console.log(
+    `📋 Table: ${table.rows} rows x ${table.cols} columns (${table.method})`
+  );
+  return { ...region, text: tableToText(table), table };
+}
+
+// Create a unique temp workspace for one parse so concurrent runs never share files
+async function createWorkspace(config) {
+  const parentDir = config.tempDir || os.tmpdir();
+  await fs.mkdir(parentDir, { recursive: true });
+  const workDir = await fs.mkdtemp(path.join(parentDir, "docparser-"));
+  activeWorkspaces.add(workDir);
+  return workDir;
+}
+
+// Remove a temp workspace created by createWorkspace()
+async function removeWorkspace(workDir) {
+  try {
+    await fs.rm(workDir, { recursive: true, force: true });
+  } catch (error) {
+    console.warn(
+      `⚠️  Failed to remove temp workspace ${workDir}:`,
+      error.message
+    );
+  }
+  activeWorkspaces.delete(workDir);
+}
+
+// Remove every temp workspace still in use, e.g. from a signal handler
+export async function cleanupWorkspaces() {
+  await Promise.all([...activeWorkspaces].map(removeWorkspace));
+}
+
+// Create required directories
+async function setupDirectories(config) {
+  try {
+    if (config.outputDir) {
+      await fs.mkdir(config.outputDir, { recursive: true });
+    }
+    if (config.annotate) {
+      await fs.mkdir(config.annotatedDir, { recursive: true });
+    }
+    console.log("✅ Directories created successfully");
+  } catch (error) {
+    console.error("❌ Failed to create directories:", error.message);
+    throw error;
+  }
+}
+
+// Open the input as a source of page images. PDF pages are rasterized on
+// demand; image files, TIFF frames and folders of page images are fed in
+// directly and have no text layer.
+async function openPageSource(inputPath, config) {
+  const inputType = await detectInputType(inputPath);
+
+  if (inputType === "pdf") {
+    const pdfInfo = await getPdfInfo(inputPath);
+    return {
+      inputType,
+      pageCount: pdfInfo.pageCount,
+      renderPage: (pageNumber) =>
+        rasterizePage(inputPath, pageNumber, {
+          dpi: config.dpi,
+          outDir: config.pagesDir,
+          pageSize: pdfInfo.pageSizes[pageNumber - 1],
+        }),
+      loadTextLayer: (pageNumbers) => extractTextLayer(inputPath, pageNumbers),
+    };
+  }
+
+  const imagePages = await listImagePages(inputPath, inputType);
+  return {
+    inputType,
+    pageCount: imagePages.length,
+    renderPage: (pageNumber) =>
+      renderImagePage(imagePages[pageNumber - 1], pageNumber, config.pagesDir),
+    loadTextLayer: async () => null,
+  };
+}
+
+// Render the selected pages up front, in page order
+async function convertPagesToImages(source, pageNumbers, config) {
+  console.log(`🔄 Converting ${pageNumbers.length} pages to images...`);
+  const startTime = performance.now();
+
+  await fs.mkdir(config.pagesDir, { recursive: true });
+  const pages = [];
+  for (const pageNumber of pageNumbers) {
+    pages.push(await source.renderPage(pageNumber));
+  }
+
+  const conversionTime = ((performance.now() - startTime) / 1000).toFixed(2);
+  console.log(
+    `✅ Successfully converted ${pages.length} pages in ${conversionTime}s`
+  );
+  return pages;
+}
+
+// YOLO model and processor are loaded once and shared by every parse
+let layoutModel = null;
+
+// Load YOLO model and processor
+export async function loadModel() {
+  if (layoutModel) return layoutModel;
+
+  console.log("🔄 Loading YOLO model...");
+  const startTime = performance.now();
+
+  try {
+    const model = await AutoModel.from_pretrained(
+      "Oblix/yolov10m-doclaynet_ONNX_document-layout-analysis",
+      { dtype: "fp32" }
+    );
+
+    const processor = await AutoProcessor.from_pretrained(
+      "Oblix/yolov10m-doclaynet_ONNX_document-layout-analysis"
+    );
+
+    const loadTime = ((performance.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ Model loaded in ${loadTime}s`);
+
+    layoutModel = { model, processor };
+    return layoutModel;
+  } catch (error) {
+    console.error("❌ Model loading failed:", error.message);
+    throw error;
+  }
+}
+
+// Blocks OCR'd less confidently than this are retried with other scripts'
+// models in "auto" mode
+const MIN_SCRIPT_CONFIDENCE = 0.6;
+
+// Extract text for a detection: embedded PDF text layer first, OCR as fallback.
+// Returns { text, source, lines, confidence }.
+async function extractDetectionText(
+  imagePath,
+  bbox,
+  label,
+  pageTextLayer,
+  image,
+  config
+) {
+  // Pictures have no readable text, keep the placeholder from the OCR path
+  // unless their embedded text was asked for
+  if (label === "Picture" && !config.figureText) {
+    return {
+      ...(await extractTextWithRetry(imagePath, bbox, label, config)),
+      source: "none",
+    };
+  }
+
+  const region = extractTextLayerRegion(
+    pageTextLayer,
+    bbox,
+    image,
+    config.vertical
+  );
+  if (region) {
+    return { ...region, source: "text-layer" };
+  }
+
+  // Scanned page or region without embedded text
+  let result = await extractTextWithRetry(imagePath, bbox, label, config);
+
+  // A block in another script than its page (a quote, a bilingual table)
+  // reads poorly with the page's model, so try the other scripts' models
+  if (
+    config.autoLanguage &&
+    result.confidence !== null &&
+    result.confidence < MIN_SCRIPT_CONFIDENCE
+  ) {
+    for (const model of config.ocrModels) {
+      if (model.language === config.ocrLanguage) continue;
+      const retry = await extractTextFromRegion(imagePath, bbox, label, {
+        ...config,
+        ocrLanguage: model.language,
+      });
+      if (retry.confidence !== null && retry.confidence > result.confidence) {
+        result = retry;
+      }
+    }
+  }
+
+  return { ...result, source: "ocr" };
+}
+
+// Recognize a Formula region as LaTeX with the local formula model. The text
+// layer or OCR reading is kept as `formula.rawText`, and stays the
+// extractedText when the model is unavailable or unsure. Returns the region
+// like extractDetectionText() plus `formula`.
+async function extractFormula(imagePath, bbox, pageTextLayer, image, config) {
+  const raw = await extractDetectionText(
+    imagePath,
+    bbox,
+    "Formula",
+    pageTextLayer,
+    image,
+    config
+  );
+  if (!config.formula.enabled) return raw;
+
+  let recognized = null;
+  try {
+    const cropPath = await cropRegion(imagePath, bbox, config);
+    try {
+      recognized = await recognizeFormula(cropPath, config.formula);
+    } finally {
+      await fs.unlink(cropPath).catch(() => {});
+    }
+  } catch (error) {
+    console.warn("⚠️  Formula recognition failed:", error.message);
+  }
+  if (!recognized) return raw;
+
+  const formula = {
+    ...recognized,
+    rawText: raw.text,
+    rawTextSource: raw.source,
+  };
+  if (recognized.confidence < config.formula.minConfidence) {
+    console.log(
+      `🧮 Formula confidence ${recognized.confidence} too low, keeping ${raw.source} text`
+    );
+    return { ...raw, formula };
+  }
+
+  console.log(`🧮 Formula: ${recognized.latex.substring(0, 50)}`);
+  return { ...raw, text: recognized.latex, source: "formula-model", formula };
+}
+
+// Labels whose text is used to find a scanned page's script
+const LANGUAGE_PROBE_LABELS = new Set([
+  "Text",
+  "List-item",
+  "Section-header",
+  "Title",
+  "Caption",
+  "Footnote",
+]);
+
+// OCR model for a page in "auto" mode: from the script of the text layer
+// when there is one, otherwise by reading the largest text region with each
+// script's model and keeping the most confident. Returns { script, language }.
+async function selectPageOcrModel(
+  imagePath,
+  detections,
+  pageTextLayer,
+  config
+) {
+  const models = config.ocrModels;
+  if (models.length === 1) return models[0];
+
+  if (hasTextLayer(pageTextLayer)) {
+    const detected = detectLanguage(
+      pageTextLayer.words.map((word) => word.text).join(" "),
+      config.ocrLanguages
+    );
+    const model = detected && models.find((m) => m.script === detected.script);
+    if (model) return model;
+  }
+
+  const probe = detections
+    .filter((d) => LANGUAGE_PROBE_LABELS.has(d.label))
+    .sort(
+      (a, b) =>
+        (b.bbox[2] - b.bbox[0]) * (b.bbox[3] - b.bbox[1]) -
+        (a.bbox[2] - a.bbox[0]) * (a.bbox[3] - a.bbox[1])
+    )[0];
+  if (!probe) return models[0];
+
+  let best = null;
+  for (const model of models) {
+    const { confidence } = await extractTextFromRegion(
+      imagePath,
+      probe.bbox,
+      probe.label,
+      { ...config, ocrLanguage: model.language }
+    );
+    if (confidence !== null && (!best || confidence > best.confidence)) {
+      best = { ...model, confidence };
+    }
+  }
+  if (!best) return models[0];
+
+  console.log(
+    `🌐 Page script: ${best.script} (${best.language}, OCR confidence ${best.confidence})`
+  );
+  return { script: best.script, language: best.language };
+}
+
+// Most common value of `field` ("language", "script") on a page, weighted by
+// text length
+function dominantByText(detections, field) {
+  const lengths = {};
+  for (const detection of detections) {
+    const value = detection[field];
+    if (value) {
+      lengths[value] = (lengths[value] || 0) + detection.extractedText.length;
+    }
+  }
+  const ranked = Object.entries(lengths).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+// Script a page is expected to be in before its text is read: from its text
+// layer, the OCR model picked for it, or else the configured languages
+function expectedPageScript(pageTextLayer, model, config) {
+  if (hasTextLayer(pageTextLayer)) {
+    const detected = detectScript(
+      pageTextLayer.words.map((word) => word.text).join(" ")
+    );
+    if (detected) return detected.script;
+  }
+  if (model && model.script) return model.script;
+
+  const scripts = config.ocrLanguages
+    .map((language) => LANGUAGE_SCRIPTS[language])
+    .filter(Boolean);
+  return scripts.find((script) => script !== "Latin") || scripts[0] || null;
+}
+
+// Whether a page is set vertically: forced with textDirection "ttb", else
+// measured on the text regions of pages in a script that is also written
+// vertically (Japanese, Chinese, Korean)
+function detectVerticalPage(image, detections, script, config) {
+  if (config.textDirection !== "auto") return config.textDirection === "ttb";
+  if (!VERTICAL_SCRIPTS.has(script)) return false;
+  return isVerticalPage(
+    image,
+    detections.filter((d) => LANGUAGE_PROBE_LABELS.has(d.label))
+  );
+}
+
+// Reading direction of a page once its text is read: "ttb" for vertical
+// pages, else the direction of its dominant script
+function pageDirection(detections, vertical, config) {
+  if (config.textDirection !== "auto") return config.textDirection;
+  if (vertical) return "ttb";
+  return scriptDirection(dominantByText(detections, "script"));
+}
+
+// Process single page with YOLO model
+async function processPage(
+  model,
+  processor,
+  imagePath,
+  pageNumber,
+  pageTextLayer,
+  config
+) {
+  const startTime = performance.now();
+  console.log(`🔄 Processing page ${pageNumber}...`);
+
+  try {
+    // Load and process image
+    const image = await RawImage.read(imagePath);
+    const { pixel_values, reshaped_input_sizes } = await processor(image);
+
+    // Run YOLO inference
+    const { output0 } = await model({ images: pixel_values });
+    const predictions = output0.tolist()[0];
+
+    // Convert predictions to proper format
+    const [newHeight, newWidth] = reshaped_input_sizes[0];
+    const [xs, ys] = [image.width / newWidth, image.height / newHeight];
+
+    console.log(
+      `🔍 Found ${predictions.length} potential detections, filtering by confidence...`
+    );
+    const candidates = predictions
+      .map(([xmin, ymin, xmax, ymax, score, id]) => ({
+        bbox: [
+          Math.round(xmin * xs),
+          Math.round(ymin * ys),
+          Math.round(xmax * xs),
+          Math.round(ymax * ys),
+        ],
+        label: id2label[id] || "Unknown",
+        score,
+      }))
+      .filter(({ label, score }) => score >= getClassThreshold(label, config));
+
+    // Drop duplicate and nested boxes before they are OCR'd twice
+    const {
+      detections: kept,
+      suppressed,
+      merged,
+    } = postprocessDetections(candidates, {
+      ...config.postprocess,
+      pageWidth: image.width,
+      pageHeight: image.height,
+    });
+    if (suppressed > 0 || merged > 0) {
+      console.log(
+        `🧹 Suppressed ${suppressed} overlapping and merged ${merged} fragmented detections`
+      );
+    }
+
+    // With ocrLanguage "auto", OCR the page with its script's model
+    let pageConfig = config;
+    let ocrModel = null;
+    if (config.ocr && config.autoLanguage) {
+      ocrModel = await selectPageOcrModel(
+        imagePath,
+        kept,
+        pageTextLayer,
+        config
+      );
+      pageConfig = { ...config, ocrLanguage: ocrModel.language };
+    }
+
+    // Vertical pages are OCR'd with the vertical models where available
+    const vertical = detectVerticalPage(
+      image,
+      kept,
+      expectedPageScript(pageTextLayer, ocrModel, config),
+      config
+    );
+    if (vertical) {
+      console.log("↕️  Vertical text, reading columns right to left");
+      const language = verticalLanguage(pageConfig.ocrLanguage);
+      if (config.ocr && language !== pageConfig.ocrLanguage) {
+        try {
+          await getOCRWorker(language, config);
+          pageConfig = { ...pageConfig, ocrLanguage: language };
+        } catch (error) {
+          console.warn(
+            `⚠️  No vertical OCR model (${language}), using ${pageConfig.ocrLanguage}:`,
+            error.message
+          );
+        }
+      }
+      pageConfig = { ...pageConfig, vertical: true };
+    }
+
+    const detections = [];
+    let ocrFailures = 0;
+
+    for (const { bbox, label, score, mergedFrom } of kept) {
+      // Extract text from the PDF text layer, or OCR for this detection
+      console.log(`📝 Processing ${label} detection...`);
+      const structure =
+        label === "Table"
+          ? await extractTableStructure(
+              imagePath,
+              bbox,
+              pageTextLayer,
+              image,
+              pageConfig
+            )
+          : null;
+      const formula =
+        label === "Formula"
+          ? await extractFormula(
+              imagePath,
+              bbox,
+              pageTextLayer,
+              image,
+              pageConfig
+            )
+          : null;
+      const {
+        text: extractedText,
+        source: textSource,
+        lines,
+        confidence: ocrConfidence,
+        ocrFailed,
+      } = structure ||
+      formula ||
+      (await extractDetectionText(
+        imagePath,
+        bbox,
+        label,
+        pageTextLayer,
+        image,
+        pageConfig
+      ));
+      if (ocrFailed) ocrFailures++;
+      const language =
+        isPlaceholderText(extractedText) || textSource === "formula-model"
+          ? null
+          : detectLanguage(extractedText, config.ocrLanguages);
+
+      const detection = {
+        id: `page${pageNumber}_detection${detections.length + 1}`,
+        bbox: bbox,
+        bbox_normalized: [
+          parseFloat((bbox[0] / image.width).toFixed(4)),
+          parseFloat((bbox[1] / image.height).toFixed(4)),
+          parseFloat((bbox[2] / image.width).toFixed(4)),
+          parseFloat((bbox[3] / image.height).toFixed(4)),
+        ],
+        label: label,
+        confidence: parseFloat(score.toFixed(3)),
+        area: Math.round((bbox[2] - bbox[0]) * (bbox[3] - bbox[1])),
+        center: [
+          Math.round((bbox[0] + bbox[2]) / 2),
+          Math.round((bbox[1] + bbox[3]) / 2),
+        ],
+        width: Math.round(bbox[2] - bbox[0]),
+        height: Math.round(bbox[3] - bbox[1]),
+        extractedText: extractedText, // Store the extracted text
+        textSource: textSource, // "text-layer", "ocr", "formula-model" or "none"
+        ocrConfidence: ocrConfidence, // Mean OCR word confidence (0-1), null without OCR
+        lines: lines, // Text lines with their words, boxes and confidences
+        language: language ? language.language : null, // Tesseract code, e.g. "fra"
+        script: language ? language.script : null,
+      };
+      if (mergedFrom) detection.mergedFrom = mergedFrom;
+      if (structure && structure.table) detection.table = structure.table;
+      if (formula && formula.formula) detection.formula = formula.formula;
+
+      // Line height and stroke width feed heading level inference
+      if (STYLE_LABELS.has(label)) {
+        detection.style = measureTextStyle(image, bbox);
+      }
+
+      detections.push(detection);
+    }
+
+    console.log(
+      `✅ Processed ${detections.length} detections (${
+        hasTextLayer(pageTextLayer) ? "text layer + OCR fallback" : "OCR"
+      })`
+    );
+
+    // Column-aware reading order (XY-cut), headers first and footers last,
+    // mirrored for right-to-left and turned for vertical pages
+    const direction = pageDirection(detections, vertical, config);
+    const orderedDetections = resolveReadingOrder(
+      detections,
+      image.width,
+      image.height,
+      direction
+    );
+
+    // Add reading order index
+    orderedDetections.forEach((detection, index) => {
+      detection.reading_order = index + 1;
+    });
+
+    // Link captions to their figure or table, and save each picture as an
+    // image named by its place in the reading order
+    const byId = new Map(detections.map((d) => [d.id, d]));
+    for (const [captionId, targetId] of linkCaptions(
+      orderedDetections,
+      image.width,
+      image.height
+    )) {
+      const caption = byId.get(captionId);
+      const target = byId.get(targetId);
+      caption.captionFor = targetId;
+      target.captionIds = [...(target.captionIds || []), captionId];
+      target.caption = [target.caption, caption.extractedText.trim()]
+        .filter(Boolean)
+        .join("\n");
+    }
+    let figureCount = 0;
+    for (const detection of orderedDetections) {
+      if (detection.label !== "Picture") continue;
+      detection.figureId = `page${pageNumber}_figure${++figureCount}`;
+      detection.imagePath = await saveFigure(imagePath, detection, config);
+    }
+
+    // Create annotated image
+    let annotatedPath = null;
+    if (config.annotate) {
+      annotatedPath = path.join(
+        config.annotatedDir,
+        `${config.documentName}_page_${pageNumber}_annotated.png`
+      );
+      await createAnnotatedImage(imagePath, detections, annotatedPath);
+    }
+
+    const processingTime = ((performance.now() - startTime) / 1000).toFixed(2);
+    console.log(
+      `✅ Page ${pageNumber} processed in ${processingTime}s - Found ${detections.length} elements`
+    );
+
+    return {
+      pageNumber,
+      processingTime: parseFloat(processingTime),
+      detections: orderedDetections, // Return full detection objects with extracted text
+      annotatedPath,
+      sourceImagePath: imagePath,
+      imageWidth: image.width,
+      imageHeight: image.height,
+      hasTextLayer: hasTextLayer(pageTextLayer),
+      language: dominantByText(detections, "language"),
+      textDirection: direction,
+      candidateCount: candidates.length,
+      suppressedCount: suppressed,
+      mergedCount: merged,
+      ocrFailures,
+    };
+  } catch (error) {
+    console.error(`❌ Error processing page ${pageNumber}:`, error.message);
+    throw error;
+  }
+}
+
+// Create annotated image with bounding boxes
+async function createAnnotatedImage(imagePath, detections, outputPath) {
+  try {
+    const image = await loadImage(imagePath);
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext("2d");
+
+    // Draw original image
+    ctx.drawImage(image, 0, 0);
+
+    // Draw annotations
+    ctx.lineWidth = 3;
+    ctx.font = "16px Arial";
+    ctx.textBaseline = "top";
+
+    detections.forEach((detection) => {
+      const { bbox, label, confidence } = detection;
+      const [xmin, ymin, xmax, ymax] = bbox;
+      const color = colors[label] || "#FFFFFF";
+
+      // Draw bounding box
+      ctx.strokeStyle = color;
+      ctx.strokeRect(xmin, ymin, xmax - xmin, ymax - ymin);
+
+      // Draw label background
+      ctx.fillStyle = color;
+      ctx.globalAlpha = 0.7;
+      ctx.fillRect(xmin, ymin - 20, 250, 20);
+
+      // Draw label text
+      ctx.globalAlpha = 1.0;
+      ctx.fillStyle = "#000000";
+      ctx.fillText(
+        `${label} (${(confidence * 100).toFixed(1)}%)`,
+        xmin + 2,
+        ymin - 18
+      );
+    });
+
+    // Save annotated image
+    const buffer = canvas.toBuffer("image/png");
+    await fs.writeFile(outputPath, buffer);
+  } catch (error) {
+    console.error("❌ Error creating annotated image:", error.message);
+    throw error;
+  }
+}
+
+// Build the hierarchical JSON structure from all page results
+function buildLayoutJson(results, totalTime, config, pdfPath, inputType) {
+  // Organize data by element type for easy filtering
+  const elementsByType = {};
+  const allDetections = [];
+
+  // Process each page result
+  results.forEach((pageResult) => {
+    pageResult.detections.forEach((detection) => {
+      // Add page context to detection
+      const enrichedDetection = {
+        ...detection,
+        pageNumber: pageResult.pageNumber,
+        sourceImagePath: pageResult.sourceImagePath,
+        annotatedImagePath: pageResult.annotatedPath,
+        pageWidth: pageResult.imageWidth,
+        pageHeight: pageResult.imageHeight,
+      };
+
+      allDetections.push(enrichedDetection);
+
+      // Group by element type
+      if (!elementsByType[detection.label]) {
+        elementsByType[detection.label] = [];
+      }
+      elementsByType[detection.label].push(enrichedDetection);
+    });
+  });
+
+  // Running headers, footers and page numbers stay in allDetections but are
+  // left out of the hierarchy and the text exports built from it
+  const furniture = findFurniture(allDetections, {
+    pageCount: config.pageCount,
+  });
+  for (const detection of [
+    ...allDetections,
+    ...results.flatMap((pageResult) => pageResult.detections),
+  ]) {
+    detection.furniture = furniture.get(detection.id) || null;
+  }
+  if (furniture.size > 0) {
+    console.log(
+      `🧾 Marked ${furniture.size} page header/footer elements as furniture`
+    );
+  }
+
+  // Create hierarchical document structure
+  const documentHierarchy = buildDocumentHierarchy(
+    allDetections.filter((detection) => !detection.furniture)
+  );
+
+  // Create comprehensive JSON structure
+  const jsonOutput = {
+    metadata: {
+      totalPages: results.length,
+      totalDetections: allDetections.length,
+      processingTime: totalTime,
+      averageTimePerPage: (totalTime / results.length).toFixed(2),
+      confidence_threshold: config.confidenceThreshold,
+      class_thresholds: config.classThresholds,
+      pageSelection: config.pages,
+      dpi: config.dpi,
+      rasterBackends: results.reduce((acc, r) => {
+        acc[r.rasterBackend] = (acc[r.rasterBackend] || 0) + 1;
+        return acc;
+      }, {}),
+      processedAt: new Date().toISOString(),
+      pdfPath: pdfPath,
+      inputType,
+      ocr: {
+        enabled: config.ocr,
+        language: config.ocrLanguage,
+        candidates: config.autoLanguage ? config.ocrLanguages : undefined,
+        tessdataDir: config.tessdataDir,
+        // Regions whose OCR failed with an error on every attempt
+        failedRegions: results.reduce((sum, r) => sum + r.ocrFailures, 0),
+      },
+      formula: {
+        enabled: config.formula.enabled,
+        modelPath: config.formula.modelPath,
+        recognized: allDetections.filter(
+          (det) => det.textSource === "formula-model"
+        ).length,
+      },
+      textDirectionCounts: results.reduce((acc, r) => {
+        acc[r.textDirection] = (acc[r.textDirection] || 0) + 1;
+        return acc;
+      }, {}),
+      languageCounts: allDetections.reduce((acc, det) => {
+        if (det.language) acc[det.language] = (acc[det.language] || 0) + 1;
+        return acc;
+      }, {}),
+      textLayerPages: results.filter((r) => r.hasTextLayer).length,
+      furnitureCount: furniture.size,
+      textSourceCounts: allDetections.reduce((acc, det) => {
+        acc[det.textSource] = (acc[det.textSource] || 0) + 1;
+        return acc;
+      }, {}),
+      elementTypeCounts: Object.keys(elementsByType).reduce((acc, type) => {
+        acc[type] = elementsByType[type].length;
+        return acc;
+      }, {}),
+    },
+
+    // Hierarchical document structure (main format requested)
+    documentStructure: documentHierarchy,
+
+    // Flat list of all detections for reference
+    allDetections: allDetections,
+
+    // Organized by page for easy page-by-page processing
+    pages: results.map((pageResult) => ({
+      pageNumber: pageResult.pageNumber,
+      processingTime: pageResult.processingTime,
+      sourceImagePath: pageResult.sourceImagePath,
+      annotatedImagePath: pageResult.annotatedPath,
+      imageWidth: pageResult.imageWidth,
+      imageHeight: pageResult.imageHeight,
+      hasTextLayer: pageResult.hasTextLayer,
+      rasterBackend: pageResult.rasterBackend,
+      candidateCount: pageResult.candidateCount,
+      suppressedCount: pageResult.suppressedCount,
+      mergedCount: pageResult.mergedCount,
+      ocrFailures: pageResult.ocrFailures,
+      skewAngle: pageResult.skewAngle,
+      language: pageResult.language,
+      textDirection: pageResult.textDirection,
+      detectionsCount: pageResult.detections.length,
+      detections: pageResult.detections.map((det) => ({
+        ...det,
+        pageNumber: pageResult.pageNumber,
+      })),
+    })),
+
+    // OCR processing suggestions
+    ocrProcessingSuggestions: {
+      textElements: (elementsByType["Text"] || []).map((det) => ({
+        id: det.id,
+        pageNumber: det.pageNumber,
+        bbox: det.bbox,
+        bbox_normalized: det.bbox_normalized,
+        priority: "high",
+      })),
+
+      titleElements: (elementsByType["Title"] || []).map((det) => ({
+        id: det.id,
+        pageNumber: det.pageNumber,
+        bbox: det.bbox,
+        bbox_normalized: det.bbox_normalized,
+        priority: "highest",
+      })),
+
+      tableElements: (elementsByType["Table"] || []).map((det) => ({
+        id: det.id,
+        pageNumber: det.pageNumber,
+        bbox: det.bbox,
+        bbox_normalized: det.bbox_normalized,
+        priority: "high",
+        structure: det.table
+          ? {
+              rows: det.table.rows,
+              cols: det.table.cols,
+              method: det.table.method,
+            }
+          : null,
+        processingNote: det.table
+          ? "Structure recognized; cells are on the table node in documentStructure"
+          : "No structure found; use table-specific OCR for better structure recognition",
+      })),
+
+      listElements: (elementsByType["List-item"] || []).map((det) => ({
+        id: det.id,
+        pageNumber: det.pageNumber,
+        bbox: det.bbox,
+        bbox_normalized: det.bbox_normalized,
+        priority: "medium",
+      })),
+
+      formulaElements: (elementsByType["Formula"] || []).map((det) => ({
+        id: det.id,
+        pageNumber: det.pageNumber,
+        bbox: det.bbox,
+        bbox_normalized: det.bbox_normalized,
+        priority: "medium",
+        formulaConfidence: det.formula ? det.formula.confidence : null,
+        processingNote:
+          det.textSource === "formula-model"
+            ? "Recognized as LaTeX; the raw text is in formula.rawText"
+            : "Not recognized as LaTeX; review the raw text or configure a formula model",
+      })),
+    },
+  };
+
+  return jsonOutput;
+}
+
+// Save the hierarchical JSON, CSV summary and outline to the output directory
+async function saveBoundingBoxesToJson(
+  jsonOutput,
+  config,
+  documentName,
+  input
+) {
+  try {
+    console.log("💾 Saving bounding boxes to hierarchical JSON...");
+
+    const { allDetections, documentStructure } = jsonOutput;
+    const outputFiles = {};
+
+    // Save to JSON file
+    if (config.formats.includes("json")) {
+      const jsonPath = path.join(
+        config.outputDir,
+        `${documentName}_layout_analysis.json`
+      );
+      await fs.writeFile(jsonPath, JSON.stringify(jsonOutput, null, 2));
+      outputFiles.json = jsonPath;
+
+      console.log(`✅ Hierarchical JSON saved to: ${jsonPath}`);
+      console.log(`📊 Total detections saved: ${allDetections.length}`);
+    }
+
+    // Also save a simple CSV format for quick analysis
+    if (config.formats.includes("csv")) {
+      outputFiles.csv = await saveDetectionsCsv(
+        allDetections,
+        config,
+        documentName
+      );
+    }
+
+    // Title/outline export for downstream tools (result.json format)
+    if (config.formats.includes("outline")) {
+      outputFiles.outline = await saveOutlineToJson(
+        documentStructure,
+        config,
+        documentName
+      );
+    }
+
+    // Readable Markdown and HTML renderings of the hierarchy; figure images
+    // are referenced relative to the output directory
+    if (config.formats.includes("md")) {
+      const mdPath = path.join(config.outputDir, `${documentName}.md`);
+      await fs.writeFile(
+        mdPath,
+        buildMarkdown(documentStructure, { baseDir: config.outputDir })
+      );
+      outputFiles.md = mdPath;
+      console.log(`📝 Markdown saved to: ${mdPath}`);
+    }
+    if (config.formats.includes("html")) {
+      const htmlPath = path.join(config.outputDir, `${documentName}.html`);
+      const { title } = buildOutline(documentStructure);
+      await fs.writeFile(
+        htmlPath,
+        buildHtml(documentStructure, {
+          title: title || documentName,
+          baseDir: config.outputDir,
+        })
+      );
+      outputFiles.html = htmlPath;
+      console.log(`🌐 HTML saved to: ${htmlPath}`);
+    }
+
+    // One CSV and one HTML file per recognized table
+    if (config.formats.includes("tables")) {
+      outputFiles.tables = await saveTables(
+        allDetections,
+        config,
+        documentName
+      );
+    }
+
+    // Picture crops are saved while their page is processed
+    if (config.formats.includes("figures")) {
+      outputFiles.figures = path.join(
+        config.outputDir,
+        `${documentName}_figures`
+      );
+    }
+
+    // Section-bounded retrieval chunks, one JSON object per line
+    if (config.formats.includes("chunks")) {
+      const chunksPath = path.join(
+        config.outputDir,
+        `${documentName}_chunks.jsonl`
+      );
+      const chunks = buildChunks(documentStructure, {
+        ...config.chunking,
+        baseDir: config.outputDir,
+      });
+      await fs.writeFile(
+        chunksPath,
+        chunksToJsonl(
+          chunks.map((chunk) => ({ document: documentName, ...chunk }))
+        )
+      );
+      outputFiles.chunks = chunksPath;
+      console.log(`🧩 ${chunks.length} chunks saved to: ${chunksPath}`);
+    }
+
+    // The input with the OCR text as an invisible layer
+    if (config.formats.includes("pdf")) {
+      outputFiles.pdf = await saveSearchablePdf(
+        jsonOutput,
+        input,
+        config,
+        documentName
+      );
+    }
+
+    return outputFiles;
+  } catch (error) {
+    console.error("❌ Error saving bounding boxes to JSON:", error.message);
+    throw error;
+  }
+}
+
+// Save the flat detections as a CSV summary
+async function saveDetectionsCsv(allDetections, config, documentName) {
+  try {
+    const csvPath = path.join(
+      config.outputDir,
+      `${documentName}_detections.csv`
+    );
+    const csvHeaders =
+      "Page,Element_Type,Confidence,X_Min,Y_Min,X_Max,Y_Max,Width,Height,Area,Reading_Order,Text_Source,OCR_Confidence,Language,Furniture\n";
+    const csvRows = allDetections
+      .map(
+        (det) =>
+          `${det.pageNumber},${det.label},${det.confidence},${det.bbox[0]},${
+            det.bbox[1]
+          },${det.bbox[2]},${det.bbox[3]},${det.width},${det.height},${
+            det.area
+          },${det.reading_order},${det.textSource},${det.ocrConfidence ?? ""},${
+            det.language || ""
+          },${det.furniture || ""}`
+      )
+      .join("\n");
+
+    await fs.writeFile(csvPath, csvHeaders + csvRows);
+    console.log(`📊 CSV summary saved to: ${csvPath}`);
+    return csvPath;
+  } catch (error) {
+    console.error("❌ Error saving CSV summary:", error.message);
+    throw error;
+  }
+}
+
+// Save every recognized table as <id>.csv and <id>.html in
+// <documentName>_tables; returns the directory
+async function saveTables(allDetections, config, documentName) {
+  try {
+    const tables = allDetections.filter((det) => det.table);
+    const tablesDir = path.join(config.outputDir, `${documentName}_tables`);
+    await fs.mkdir(tablesDir, { recursive: true });
+
+    for (const det of tables) {
+      await fs.writeFile(path.join(tablesDir, `${det.id}.csv`), det.table.csv);
+      await fs.writeFile(
+        path.join(tablesDir, `${det.id}.html`),
+        det.table.html + "\n"
+      );
+    }
+
+    console.log(`📋 ${tables.length} tables saved to: ${tablesDir}`);
+    return tablesDir;
+  } catch (error) {
+    console.error("❌ Error saving tables:", error.message);
+    throw error;
+  }
+}
+
+// Save <documentName>_searchable.pdf: the input PDF, or the page images of
+// an image input placed at their own resolution (--dpi when they record
+// none), with the OCR words as invisible text at their detected positions
+async function saveSearchablePdf(jsonOutput, input, config, documentName) {
+  try {
+    const pdfPath = path.join(
+      config.outputDir,
+      `${documentName}_searchable.pdf`
+    );
+    const { bytes, words, skippedWords } = await buildSearchablePdf(
+      jsonOutput.pages,
+      {
+        pdfBytes:
+          input.source.inputType === "pdf"
+            ? await fs.readFile(input.path)
+            : null,
+        pageImage: (pageNumber) => input.source.renderPage(pageNumber),
+        dpi: config.dpi, // for page images that record no resolution
+        fontPath: config.pdfFont,
+        layoutBoxes: config.pdfLayoutBoxes,
+        colors,
+      }
+    );
+    await fs.writeFile(pdfPath, bytes);
+
+    console.log(`🔎 Searchable PDF saved to: ${pdfPath} (${words} OCR words)`);
+    if (skippedWords > 0) {
+      console.warn(
+        `⚠️  ${skippedWords} words have no glyphs in the PDF font and were left out (set pdfFont to a Unicode font)`
+      );
+    }
+    return pdfPath;
+  } catch (error) {
+    console.error("❌ Error saving searchable PDF:", error.message);
+    throw error;
+  }
+}
+
+// Save the title/outline JSON, one file per input PDF
+async function saveOutlineToJson(documentHierarchy, config, documentName) {
+  try {
+    const { title, outline } = buildOutline(documentHierarchy);
+    const outlinePath = path.join(config.outputDir, `${documentName}.json`);
+    await fs.writeFile(
+      outlinePath,
+      JSON.stringify({ title, outline }, null, 4)
+    );
+
+    console.log(
+      `📑 Outline saved to: ${outlinePath} (${outline.length} headings)`
+    );
+    return outlinePath;
+  } catch (error) {
+    console.error("❌ Error saving outline JSON:", error.message);
+    throw error;
+  }
+}
+
+// Output files are named after the input PDF, e.g. report.pdf -> report.json
+function getDocumentName(pdfPath) {
+  return path.basename(pdfPath, path.extname(pdfPath));
+}
+
+// Build hierarchical document structure
+function buildDocumentHierarchy(detections) {
+  console.log("🏗️  Building hierarchical document structure...");
+
+  // Sort detections by page and reading order
+  const sortedDetections = detections.sort((a, b) => {
+    if (a.pageNumber !== b.pageNumber) {
+      return a.pageNumber - b.pageNumber;
+    }
+    return a.reading_order - b.reading_order;
+  });
+
+  const hierarchy = [];
+  const headingStack = []; // Stack to track current heading hierarchy
+
+  // Heading levels from numbering, size and style measured across the document
+  const headingLevels = inferHeadingLevels(sortedDetections);
+
+  sortedDetections.forEach((detection) => {
+    const { label, bbox, pageNumber, confidence, id, extractedText } =
+      detection;
+
+    // Linked captions are part of their figure or table node
+    if (detection.captionFor) return;
+
+    if (HEADING_LABELS.has(label)) {
+      // This is a heading element
+      const { level: levelNum, numbering } = headingLevels.get(id);
+      const level = `H${levelNum}`;
+      const headingNode = {
+        id: id,
+        // Headings read as one line; the detection keeps the line breaks
+        title: extractedText
+          ? extractedText.replace(/\s+/g, " ")
+          : `${label} (Page ${pageNumber})`,
+        label: label,
+        level: level,
+        page: pageNumber,
+        bbox: bbox,
+        bbox_normalized: detection.bbox_normalized,
+        confidence: confidence,
+        children: [],
+      };
+      if (numbering) headingNode.numbering = numbering;
+
+      // Pop headings from stack that are at same or lower level
+      while (
+        headingStack.length > 0 &&
+        parseInt(
+          headingStack[headingStack.length - 1].level.replace("H", "")
+        ) >= levelNum
+      ) {
+        headingStack.pop();
+      }
+
+      if (headingStack.length === 0) {
+        // Top level heading
+        hierarchy.push(headingNode);
+      } else {
+        // Add as child to current parent
+        headingStack[headingStack.length - 1].children.push(headingNode);
+      }
+
+      headingStack.push(headingNode);
+    } else {
+      // This is content (text, table, list, etc.)
+      const contentNode = {
+        id: id,
+        type:
+          label === "Picture"
+            ? "figure"
+            : label.toLowerCase().replace("-", "_"),
+        content: extractedText || `${label} content (Page ${pageNumber})`, // Use extracted text or fallback
+        bbox: bbox,
+        bbox_normalized: detection.bbox_normalized,
+        page: pageNumber,
+        confidence: confidence,
+        ocrConfidence: detection.ocrConfidence,
+        width: detection.width,
+        height: detection.height,
+        area: detection.area,
+        reading_order: detection.reading_order,
+      };
+      if (detection.table) contentNode.table = detection.table;
+      if (detection.formula) contentNode.formula = detection.formula;
+      if (label === "Picture") {
+        contentNode.figureId = detection.figureId;
+        contentNode.imagePath = detection.imagePath;
+        // Text read inside the picture, with figureText enabled
+        contentNode.text =
+          detection.textSource === "none" || isPlaceholderText(extractedText)
+            ? null
+            : extractedText;
+      }
+      if (CAPTIONED_LABELS.has(label)) {
+        contentNode.caption = detection.caption || null;
+        contentNode.captionIds = detection.captionIds || [];
+      }
+
+      if (headingStack.length > 0) {
+        // Add content under current heading
+        headingStack[headingStack.length - 1].children.push(contentNode);
+      } else {
+        // No current heading - create a default section
+        const defaultSection = {
+          id: `default_section_page_${pageNumber}`,
+          title: `Content (Page ${pageNumber})`,
+          level: "H1",
+          page: pageNumber,
+          children: [contentNode],
+        };
+        hierarchy.push(defaultSection);
+        headingStack.push(defaultSection);
+      }
+    }
+  });
+
+  console.log(`✅ Built hierarchy with ${hierarchy.length} top-level sections`);
+  return hierarchy;
+}
+
+// Parse a PDF, page image, multi-page TIFF or folder of page images (file
+// path, directory or Buffer) into the hierarchical layout JSON.
+// Nothing is written to disk unless options.outputDir is set. Failures in
+// conversion, model loading or OCR setup are raised as PipelineError.
+export async function parseDocument(pdfPathOrBuffer, options = {}) {
+  const totalStartTime = performance.now();
+
+  await loadOptionalDependencies();
+  const config = resolveConfig(options);
+
+  const isBuffer = Buffer.isBuffer(pdfPathOrBuffer);
+  const documentName =
+    options.documentName ||
+    (isBuffer ? "document" : getDocumentName(pdfPathOrBuffer));
+
+  // Everything temporary for this run lives in its own workspace
+  config.workDir = await createWorkspace(config);
+  config.pagesDir = path.join(config.workDir, "pages");
+  config.documentName = documentName;
+
+  try {
+    // Buffers are written into the workspace so poppler can read them;
+    // the input type is detected from the content, not the name
+    let pdfPath = pdfPathOrBuffer;
+    if (isBuffer) {
+      pdfPath = path.join(config.workDir, "input");
+      await fs.writeFile(pdfPath, pdfPathOrBuffer);
+    }
+
+    // Setup
+    await setupDirectories(config);
+
+    if (config.pages) {
+      console.log(`📑 Page selection: ${config.pages.join(", ")}`);
+    }
+
+    // Initialize OCR worker
+    if (config.ocr) {
+      try {
+        config.ocrModels = await initializeOCRWorkers(config);
+      } catch (error) {
+        throw new PipelineError(
+          "ocr",
+          `OCR initialization failed: ${error.message}`,
+          error
+        );
+      }
+    }
+
+    let model, processor;
+    try {
+      ({ model, processor } = await loadModel());
+    } catch (error) {
+      throw new PipelineError(
+        "model",
+        `Model loading failed: ${error.message}`,
+        error
+      );
+    }
+
+    // Page count (and PDF page sizes) decide which pages to render
+    let source;
+    try {
+      source = await openPageSource(pdfPath, config);
+    } catch (error) {
+      throw new PipelineError(
+        "conversion",
+        `Could not read input: ${error.message}`,
+        error
+      );
+    }
+    config.pageCount = source.pageCount; // Highest page number furniture can show
+    if (source.inputType !== "pdf") {
+      console.log(
+        `🖼️  Image input (${source.inputType}): ${source.pageCount} pages`
+      );
+    }
+
+    const allPages = Array.from({ length: source.pageCount }, (_, i) => i + 1);
+    const pageNumbers = config.pages
+      ? config.pages.filter((page) => page <= source.pageCount)
+      : allPages;
+    if (pageNumbers.length === 0) {
+      throw new PipelineError(
+        "conversion",
+        `No pages matched the page selection (document has ${source.pageCount} pages)`
+      );
+    }
+
+    // Either render everything now, or one page at a time in the loop below
+    let pageImages = null;
+    if (!config.pageByPage) {
+      try {
+        pageImages = await convertPagesToImages(source, pageNumbers, config);
+      } catch (error) {
+        throw new PipelineError("conversion", error.message, error);
+      }
+    } else {
+      await fs.mkdir(config.pagesDir, { recursive: true });
+    }
+
+    // Born-digital PDFs carry exact text; OCR only covers what it misses
+    // (only the selected pages are read)
+    const textLayer = await source.loadTextLayer(pageNumbers);
+    if (textLayer) {
+      const textPages = [...textLayer.values()].filter(hasTextLayer).length;
+      console.log(
+        `📄 Text layer found on ${textPages}/${textLayer.size} pages (OCR fallback for the rest)`
+      );
+    }
+
+    // Process each page with layout detection and text extraction
+    console.log("🔄 Processing pages with layout detection and OCR...");
+    const results = [];
+
+    for (const [index, pageNumber] of pageNumbers.entries()) {
+      let page = pageImages?.[index];
+      if (!page) {
+        try {
+          page = await source.renderPage(pageNumber);
+        } catch (error) {
+          throw new PipelineError("conversion", error.message, error);
+        }
+      }
+
+      // Deskew scanned pages so the layout model sees straight text lines.
+      // Pages with a text layer keep their geometry to stay aligned with it.
+      const pageTextLayer = textLayer?.get(pageNumber);
+      let imagePath = page.imagePath;
+      let skewAngle = null;
+      if (config.preprocess.page && !hasTextLayer(pageTextLayer)) {
+        const preprocessedPath = path.join(
+          config.pagesDir,
+          `page-${pageNumber}-preprocessed.png`
+        );
+        try {
+          ({ angle: skewAngle } = await preprocessPage(
+            page.imagePath,
+            preprocessedPath,
+            config.preprocess
+          ));
+          imagePath = preprocessedPath;
+          if (skewAngle !== 0) {
+            console.log(`📐 Page ${pageNumber} deskewed by ${skewAngle}°`);
+          }
+        } catch (error) {
+          console.warn("⚠️  Page preprocessing failed:", error.message);
+        }
+      }
+
+      // Resolution of the page image, for OCR upscaling: the render DPI, or
+      // what a scan records (--dpi when it records none)
+      const result = await processPage(
+        model,
+        processor,
+        imagePath,
+        pageNumber,
+        pageTextLayer,
+        { ...config, sourceDpi: page.dpi || config.dpi }
+      );
+      result.rasterBackend = page.backend;
+      result.skewAngle = skewAngle;
+      results.push(result);
+
+      if (imagePath !== page.imagePath) {
+        await fs.rm(imagePath, { force: true });
+      }
+
+      // Page images are only needed while their page is processed. Image
+      // inputs are read in place and must never be deleted.
+      if (
+        config.pageByPage &&
+        path.dirname(page.imagePath) === config.pagesDir
+      ) {
+        await fs.rm(page.imagePath, { force: true });
+      }
+    }
+
+    const totalTime = parseFloat(
+      ((performance.now() - totalStartTime) / 1000).toFixed(2)
+    );
+    const jsonOutput = buildLayoutJson(
+      results,
+      totalTime,
+      config,
+      isBuffer ? null : pdfPath,
+      source.inputType
+    );
+
+    if (config.outputDir) {
+      await saveBoundingBoxesToJson(jsonOutput, config, documentName, {
+        path: pdfPath,
+        source,
+      });
+    }
+
+    return jsonOutput;
+  } finally {
+    await removeWorkspace(config.workDir);
+  }
+}
+
+// Parse many inputs with a single model load and OCR worker. Each document is
+// written to <outputDir>/<documentName>/ and a batch manifest records the
+// status, timing and error of every file. A failing document does not stop
+// the batch; model or OCR setup failures do, since every document needs them.
+export async function parseBatch(pdfPaths, options = {}) {
+  const batchStartTime = performance.now();
+  const outputDir = options.outputDir || "./output";
+
+  await loadOptionalDependencies();
+  const config = resolveConfig({ ...options, outputDir });
+
+  // Load shared resources once up front
+  if (config.ocr) {
+    try {
+      await initializeOCRWorkers(config);
+    } catch (error) {
+      throw new PipelineError(
+        "ocr",
+        `OCR initialization failed: ${error.message}`,
+        error
+      );
+    }
+  }
+  try {
+    await loadModel();
+  } catch (error) {
+    throw new PipelineError(
+      "model",
+      `Model loading failed: ${error.message}`,
+      error
+    );
+  }
+
+  const manifest = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    totalTime: null,
+    outputDir,
+    totalDocuments: pdfPaths.length,
+    succeeded: 0,
+    failed: 0,
+    documents: [],
+  };
+  const usedNames = new Set();
+
+  for (const [index, pdfPath] of pdfPaths.entries()) {
+    console.log(
+      `\n📚 [${index + 1}/${pdfPaths.length}] Processing ${pdfPath}...`
+    );
+
+    // Same-named PDFs from different folders get distinct output folders
+    let documentName = getDocumentName(pdfPath);
+    for (let n = 2; usedNames.has(documentName); n++) {
+      documentName = `${getDocumentName(pdfPath)}_${n}`;
+    }
+    usedNames.add(documentName);
+
+    const documentOutputDir = path.join(outputDir, documentName);
+    const entry = {
+      input: pdfPath,
+      documentName,
+      outputDir: documentOutputDir,
+      status: "success",
+      processingTime: null,
+      totalPages: null,
+      totalDetections: null,
+      ocrFailures: null,
+      error: null,
+    };
+    const startTime = performance.now();
+
+    try {
+      const analysis = await parseDocument(pdfPath, {
+        ...options,
+        outputDir: documentOutputDir,
+        annotatedDir: options.annotatedDir
+          ? path.join(options.annotatedDir, documentName)
+          : null,
+        documentName,
+      });
+      entry.totalPages = analysis.metadata.totalPages;
+      entry.totalDetections = analysis.metadata.totalDetections;
+      entry.ocrFailures = analysis.metadata.ocr.failedRegions;
+      manifest.succeeded++;
+    } catch (error) {
+      console.error(`❌ Failed to process ${pdfPath}:`, error.message);
+      entry.status = "failed";
+      entry.error = {
+        stage: error instanceof PipelineError ? error.stage : null,
+        message: error.message,
+      };
+      manifest.failed++;
+    }
+
+    entry.processingTime = parseFloat(
+      ((performance.now() - startTime) / 1000).toFixed(2)
+    );
+    manifest.documents.push(entry);
+  }
+
+  manifest.finishedAt = new Date().toISOString();
+  manifest.totalTime = parseFloat(
+    ((performance.now() - batchStartTime) / 1000).toFixed(2)
+  );
+
+  const manifestPath = path.join(outputDir, "batch_manifest.json");
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  console.log(`\n📒 Batch manifest saved to: ${manifestPath}`);
+
+  return manifest;
+}
@@ -0,0 +1,277 @@
+// evaluate.js
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import {
+  DEFAULT_IOU_THRESHOLD,
+  collectPredictions,
+  loadLabelledPages,
+} from "./box_matching.js";
+import {
+  DEFAULT_TEXT_THRESHOLD,
+  evaluateBoxes,
+  evaluateOutline,
+  evaluateText,
+} from "./evaluation.js";
+
+const USAGE = `Usage: node evaluate.js [options] <eval_set.json>
+       node evaluate.js [options] --outline <name.json> --expected <result.json>
+
+Compares saved parser output with ground truth, fully offline:
+  - outlines: heading precision/recall, level accuracy and title match
+    against a result.json-style { title, outline } file
+  - boxes: per-class AP and mAP of a saved <name>_layout_analysis.json
+    against labelled bboxes
+  - text: character and word error rates of the extracted text, for
+    labelled boxes that have a "text"
+
+The eval set uses the calibrate.js labels format, with "outline" and
+"expected" files per document next to "predictions" and labelled "pages".
+
+Options:
+      --outline <file>         Generated outline (single-document mode)
+      --expected <file>        Ground-truth result.json (single-document mode)
+      --iou <n>                IoU for a box to match a label (default: 0.5)
+      --text-threshold <n>     Text similarity for headings to match (default: 0.8)
+      --report <file>          Write the full report as JSON
+  -h, --help                   Show this help`;
+
+// Error for invalid command-line usage
+class UsageError extends Error {}
+
+function parseFraction(values, name, fallback) {
+  if (values[name] === undefined) return fallback;
+  const value = Number(values[name]);
+  if (Number.isNaN(value) || value <= 0 || value > 1) {
+    throw new UsageError(
+      `--${name} must be a number above 0 and up to 1, got "${values[name]}"`
+    );
+  }
+  return value;
+}
+
+// Parse and validate command-line arguments
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        outline: { type: "string" },
+        expected: { type: "string" },
+        iou: { type: "string" },
+        "text-threshold": { type: "string" },
+        report: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  const pairMode = Boolean(values.outline || values.expected);
+  if (pairMode && !(values.outline && values.expected)) {
+    throw new UsageError("--outline and --expected must be used together");
+  }
+  if (pairMode === positionals.length > 0 || positionals.length > 1) {
+    throw new UsageError(
+      "Expected either one eval set file or --outline with --expected"
+    );
+  }
+
+  return {
+    evalSetFile: positionals[0] || null,
+    outlineFile: values.outline || null,
+    expectedFile: values.expected || null,
+    iouThreshold: parseFraction(values, "iou", DEFAULT_IOU_THRESHOLD),
+    textThreshold: parseFraction(
+      values,
+      "text-threshold",
+      DEFAULT_TEXT_THRESHOLD
+    ),
+    reportFile: values.report || null,
+  };
+}
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${filePath}: ${error.message}`);
+  }
+}
+
+// Documents to evaluate, from an eval set or a single outline pair
+async function loadDocuments(cli) {
+  if (cli.evalSetFile) return loadLabelledPages(cli.evalSetFile);
+  return [
+    {
+      name: path.basename(cli.outlineFile, path.extname(cli.outlineFile)),
+      outline: cli.outlineFile,
+      expected: cli.expectedFile,
+      predictions: null,
+      pages: [],
+    },
+  ];
+}
+
+// Micro-averaged outline metrics over all documents
+function summarizeOutlines(results) {
+  const sum = (field) =>
+    results.reduce((total, r) => total + r.headings[field], 0);
+  const matched = sum("matched");
+  const generated = sum("generated");
+  const expected = sum("expected");
+  const levelMatches = results.reduce(
+    (total, r) => total + r.matches.filter((m) => m.levelMatch).length,
+    0
+  );
+  const ratio = (a, b) => (b > 0 ? parseFloat((a / b).toFixed(4)) : 0);
+  const precision = ratio(matched, generated);
+  const recall = ratio(matched, expected);
+
+  return {
+    documents: results.length,
+    titleMatches: results.filter((r) => r.title.match).length,
+    headingPrecision: precision,
+    headingRecall: recall,
+    headingF1: ratio(2 * precision * recall, precision + recall),
+    levelAccuracy: ratio(levelMatches, matched),
+  };
+}
+
+function printOutlineResult(name, result) {
+  const { title, headings } = result;
+  console.log(`\n📄 ${name}`);
+  console.log(
+    `  ${title.match ? "✅" : "❌"} Title: "${title.generated}" vs "${
+      title.expected
+    }" (similarity ${title.similarity})`
+  );
+  console.log(
+    `  🔖 Headings: ${headings.matched}/${headings.expected} found, ${headings.generated} generated - P ${headings.precision}, R ${headings.recall}, F1 ${headings.f1}, level accuracy ${headings.levelAccuracy}`
+  );
+  result.missed.forEach((h) =>
+    console.log(`    ➖ missed ${h.level} "${h.text}" (page ${h.page})`)
+  );
+  result.spurious.forEach((h) =>
+    console.log(`    ➕ extra ${h.level} "${h.text}" (page ${h.page})`)
+  );
+}
+
+function printBoxResult(boxes) {
+  console.log(`\n📦 Boxes (IoU ≥ ${boxes.iouThreshold}): mAP ${boxes.mAP}`);
+  console.log("  class            AP      P       R       IoU     lbl  pred");
+  for (const [label, c] of Object.entries(boxes.perClass)) {
+    console.log(
+      `  ${label.padEnd(15)}  ${c.ap.toFixed(3).padEnd(6)}  ${c.precision
+        .toFixed(3)
+        .padEnd(6)}  ${c.recall.toFixed(3).padEnd(6)}  ${c.meanIou
+        .toFixed(3)
+        .padEnd(6)}  ${String(c.labelled).padEnd(3)}  ${c.predicted}`
+    );
+  }
+}
+
+// Command-line entry point
+async function main() {
+  let cli;
+  try {
+    cli = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (cli.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    const documents = await loadDocuments(cli);
+    const report = { documents: [] };
+
+    // Outlines
+    const outlineResults = [];
+    for (const document of documents) {
+      if (!document.outline || !document.expected) continue;
+      const result = evaluateOutline(
+        await readJson(document.outline),
+        await readJson(document.expected),
+        { textThreshold: cli.textThreshold }
+      );
+      outlineResults.push(result);
+      report.documents.push({ name: document.name, outline: result });
+      printOutlineResult(document.name, result);
+    }
+
+    // Boxes
+    const boxPages = [];
+    for (const document of documents) {
+      if (!document.predictions || document.pages.length === 0) continue;
+      const predictions = collectPredictions(
+        await readJson(document.predictions)
+      );
+      for (const page of document.pages) {
+        boxPages.push({
+          predictions: predictions.get(page.page) || [],
+          truth: page.boxes,
+        });
+      }
+    }
+
+    if (outlineResults.length === 0 && boxPages.length === 0) {
+      throw new Error(
+        "Nothing to evaluate: add outline/expected or predictions/pages to the documents"
+      );
+    }
+
+    console.log("\n" + "=".repeat(60));
+    console.log("📊 EVALUATION SUMMARY");
+    console.log("=".repeat(60));
+
+    if (outlineResults.length > 0) {
+      report.outline = summarizeOutlines(outlineResults);
+      const o = report.outline;
+      console.log(`🏷️  Titles matched: ${o.titleMatches}/${o.documents}`);
+      console.log(
+        `🔖 Headings: P ${o.headingPrecision}, R ${o.headingRecall}, F1 ${o.headingF1}`
+      );
+      console.log(`📐 Level accuracy: ${o.levelAccuracy}`);
+    }
+
+    if (boxPages.length > 0) {
+      report.boxes = evaluateBoxes(boxPages, {
+        iouThreshold: cli.iouThreshold,
+      });
+      printBoxResult(report.boxes);
+
+      if (boxPages.some((page) => page.truth.some((box) => box.text != null))) {
+        report.text = evaluateText(boxPages, {
+          iouThreshold: cli.iouThreshold,
+        });
+        const t = report.text;
+        console.log(
+          `\n🔤 Text (${t.boxes} boxes, ${t.characters} characters): CER ${t.cer}, WER ${t.wer}`
+        );
+      }
+    }
+
+    if (cli.reportFile) {
+      await fs.writeFile(cli.reportFile, JSON.stringify(report, null, 2));
+      console.log(`\n💾 Report saved to ${cli.reportFile}`);
+    }
+  } catch (error) {
+    console.error("❌ Evaluation failed:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,246 @@
+// evaluation.js
+import { cosineSimilarity, fuzzyMatch } from "./matching_utils.js";
+import { DEFAULT_IOU_THRESHOLD, matchBoxes } from "./box_matching.js";
+
+// Headings whose text is at least this similar count as the same heading
+export const DEFAULT_TEXT_THRESHOLD = 0.8;
+
+function normalizeText(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+// Best of edit-distance and token-cosine similarity, 0..1. Edit distance
+// catches OCR typos, cosine catches reordered or extra words.
+export function textSimilarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+  if (!left && !right) return 1;
+  if (!left || !right) return 0;
+  return Math.max(fuzzyMatch(left, right), cosineSimilarity(left, right));
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? parseFloat((numerator / denominator).toFixed(4)) : 0;
+}
+
+function f1(precision, recall) {
+  return ratio(2 * precision * recall, precision + recall);
+}
+
+// Compare a generated { title, outline } with a ground-truth result.json.
+// Headings match one-to-one on the same page, most similar pairs first.
+export function evaluateOutline(
+  generated,
+  expected,
+  { textThreshold = DEFAULT_TEXT_THRESHOLD } = {}
+) {
+  const titleSimilarity = textSimilarity(generated.title, expected.title);
+
+  const generatedHeadings = generated.outline || [];
+  const expectedHeadings = expected.outline || [];
+
+  const pairs = [];
+  generatedHeadings.forEach((heading, g) => {
+    expectedHeadings.forEach((truth, e) => {
+      if (heading.page !== truth.page) return;
+      const similarity = textSimilarity(heading.text, truth.text);
+      if (similarity >= textThreshold) pairs.push({ g, e, similarity });
+    });
+  });
+  pairs.sort((a, b) => b.similarity - a.similarity);
+
+  const usedGenerated = new Set();
+  const usedExpected = new Set();
+  const matches = [];
+  for (const { g, e, similarity } of pairs) {
+    if (usedGenerated.has(g) || usedExpected.has(e)) continue;
+    usedGenerated.add(g);
+    usedExpected.add(e);
+    matches.push({
+      generated: generatedHeadings[g],
+      expected: expectedHeadings[e],
+      similarity: parseFloat(similarity.toFixed(4)),
+      levelMatch: generatedHeadings[g].level === expectedHeadings[e].level,
+    });
+  }
+
+  const precision = ratio(matches.length, generatedHeadings.length);
+  const recall = ratio(matches.length, expectedHeadings.length);
+
+  return {
+    title: {
+      generated: generated.title || "",
+      expected: expected.title || "",
+      similarity: parseFloat(titleSimilarity.toFixed(4)),
+      match: titleSimilarity >= textThreshold,
+    },
+    headings: {
+      generated: generatedHeadings.length,
+      expected: expectedHeadings.length,
+      matched: matches.length,
+      precision,
+      recall,
+      f1: f1(precision, recall),
+      levelAccuracy: ratio(
+        matches.filter((m) => m.levelMatch).length,
+        matches.length
+      ),
+    },
+    missed: expectedHeadings.filter((_, e) => !usedExpected.has(e)),
+    spurious: generatedHeadings.filter((_, g) => !usedGenerated.has(g)),
+    matches,
+  };
+}
+
+// All-point interpolated average precision from scored hits
+// ({ score, truePositive }) and the number of ground-truth boxes
+export function averagePrecision(hits, totalTruth) {
+  if (totalTruth === 0) return 0;
+  const ranked = [...hits].sort((a, b) => b.score - a.score);
+
+  const points = [];
+  let truePositives = 0;
+  ranked.forEach((hit, index) => {
+    if (hit.truePositive) truePositives++;
+    points.push({
+      precision: truePositives / (index + 1),
+      recall: truePositives / totalTruth,
+    });
+  });
+
+  // Precision envelope: best precision at this recall or any higher one
+  for (let i = points.length - 2; i >= 0; i--) {
+    points[i].precision = Math.max(
+      points[i].precision,
+      points[i + 1].precision
+    );
+  }
+
+  let ap = 0;
+  let previousRecall = 0;
+  for (const { precision, recall } of points) {
+    ap += (recall - previousRecall) * precision;
+    previousRecall = recall;
+  }
+  return ap;
+}
+
+// Per-class AP and mAP of predicted boxes against labelled boxes.
+// `pages` is a list of { predictions, truth } with normalized boxes.
+export function evaluateBoxes(
+  pages,
+  { iouThreshold = DEFAULT_IOU_THRESHOLD } = {}
+) {
+  const classes = {};
+  const classFor = (label) =>
+    (classes[label] ??= { hits: [], truth: 0, iouSum: 0 });
+
+  for (const { predictions, truth } of pages) {
+    truth.forEach((box) => classFor(box.label).truth++);
+    const { matches, unmatchedPredictions } = matchBoxes(
+      predictions,
+      truth,
+      iouThreshold
+    );
+    for (const { prediction, iou } of matches) {
+      const entry = classFor(prediction.label);
+      entry.hits.push({ score: prediction.score, truePositive: true });
+      entry.iouSum += iou;
+    }
+    for (const prediction of unmatchedPredictions) {
+      classFor(prediction.label).hits.push({
+        score: prediction.score,
+        truePositive: false,
+      });
+    }
+  }
+
+  const perClass = {};
+  for (const [label, { hits, truth, iouSum }] of Object.entries(classes)) {
+    const matched = hits.filter((hit) => hit.truePositive).length;
+    perClass[label] = {
+      labelled: truth,
+      predicted: hits.length,
+      matched,
+      precision: ratio(matched, hits.length),
+      recall: ratio(matched, truth),
+      meanIou: ratio(iouSum, matched),
+      ap: parseFloat(averagePrecision(hits, truth).toFixed(4)),
+    };
+  }
+
+  // mAP over the classes that have labelled boxes
+  const labelledClasses = Object.values(perClass).filter((c) => c.labelled > 0);
+  return {
+    iouThreshold,
+    mAP: ratio(
+      labelledClasses.reduce((sum, c) => sum + c.ap, 0),
+      labelledClasses.length
+    ),
+    perClass,
+  };
+}
+
+// Levenshtein distance between two strings or two arrays of words
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// OCR accuracy on matched boxes whose ground truth has `text`: character and
+// word error rates (edit distance over the ground-truth length, summed over
+// all boxes), with whitespace normalized. Compare runs with different OCR
+// settings, e.g. with and without preprocessing.
+export function evaluateText(
+  pages,
+  { iouThreshold = DEFAULT_IOU_THRESHOLD } = {}
+) {
+  let boxes = 0;
+  let charErrors = 0;
+  let chars = 0;
+  let wordErrors = 0;
+  let words = 0;
+
+  for (const { predictions, truth } of pages) {
+    const { matches, unmatchedTruth } = matchBoxes(
+      predictions,
+      truth.filter((box) => box.text !== null && box.text !== undefined),
+      iouThreshold
+    );
+    const pairs = [
+      ...matches.map((m) => [m.prediction.text, m.truth.text]),
+      // A labelled box the parser missed counts as all of its text lost
+      ...unmatchedTruth.map((box) => ["", box.text]),
+    ];
+    for (const [predicted, expected] of pairs) {
+      const got = normalizeText(predicted);
+      const want = normalizeText(expected);
+      boxes++;
+      charErrors += editDistance(got, want);
+      chars += want.length;
+      const gotWords = got ? got.split(" ") : [];
+      const wantWords = want ? want.split(" ") : [];
+      wordErrors += editDistance(gotWords, wantWords);
+      words += wantWords.length;
+    }
+  }
+
+  return {
+    boxes,
+    characters: chars,
+    words,
+    cer: ratio(charErrors, chars),
+    wer: ratio(wordErrors, words),
+  };
+}
@@ -0,0 +1,264 @@
+// export_utils.js
+import path from "path";
+import { isPlaceholderText } from "./outline_utils.js";
+import { tableToHtml, tableToMarkdown } from "./table_structure.js";
+
+// Page furniture is never exported, even if it reaches documentStructure
+const FURNITURE_TYPES = new Set(["page_header", "page_footer"]);
+
+// Bullet or numbering at the start of a list item: bullets and dashes,
+// "1.", "a)", "(iv)"
+export const BULLET =
+  /^[\u2022\u25CF\u25CB\u25E6\u25AA\u25A0\u2023\u2043\u2219\u00B7*+\-\u2013\u2014]\s+/;
+export const NUMBERING = /^\(?(\d{1,3}|[a-z]|[ivxlc]{1,6})[.)]\s+/i;
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Text of a region as flowing paragraphs: line breaks inside a paragraph
+// become spaces and words hyphenated across lines are joined again
+function paragraphs(text) {
+  return text
+    .trim()
+    .split(/\n\s*\n/)
+    .map((paragraph) =>
+      paragraph
+        .replace(/(\p{L})-\n(\p{Ll})/gu, "$1$2")
+        .replace(/\s*\n\s*/g, " ")
+    )
+    .filter(Boolean);
+}
+
+function hasText(node) {
+  return !isPlaceholderText(node.content);
+}
+
+// Whether a formula node's content is the LaTeX from the formula model
+function isLatex(node) {
+  return Boolean(node.formula && node.content === node.formula.latex);
+}
+
+// Image path as referenced from the exported file
+function imageSource(imagePath, baseDir) {
+  const source = baseDir ? path.relative(baseDir, imagePath) : imagePath;
+  return source.split(path.sep).join("/");
+}
+
+// Merge runs of list items into one list node: ordered when the first item
+// is numbered, with bullets and numbers removed from the item text
+function groupLists(nodes) {
+  const grouped = [];
+  for (const node of nodes) {
+    if (node.type !== "list_item" || !hasText(node)) {
+      grouped.push(node);
+      continue;
+    }
+    const text = paragraphs(node.content).join(" ");
+    let list = grouped[grouped.length - 1];
+    if (!list || list.type !== "list") {
+      list = { type: "list", ordered: NUMBERING.test(text), items: [] };
+      grouped.push(list);
+    }
+    list.items.push(text.replace(BULLET, "").replace(NUMBERING, ""));
+  }
+  return grouped;
+}
+
+// Nodes that go into an export, with list items grouped into lists
+function exportedNodes(nodes) {
+  return groupLists(
+    nodes.filter((node) => !FURNITURE_TYPES.has(node.type) && !node.furniture)
+  );
+}
+
+// Section heading nodes carry a bbox; synthetic sections ("Content (Page 2)")
+// have no heading text of their own
+export function hasHeading(node) {
+  return Boolean(node.bbox) && !isPlaceholderText(node.title);
+}
+
+function headingDepth(node) {
+  return Math.min(parseInt(node.level.replace("H", "")) || 1, 4);
+}
+
+function markdownBlocks(node, baseDir) {
+  const caption = node.caption ? paragraphs(node.caption).join(" ") : null;
+
+  switch (node.type) {
+    case "list":
+      return [
+        node.items
+          .map((item, index) =>
+            node.ordered ? `${index + 1}. ${item}` : `- ${item}`
+          )
+          .join("\n"),
+      ];
+    case "table": {
+      const body = node.table
+        ? [tableToMarkdown(node.table)]
+        : hasText(node)
+        ? paragraphs(node.content)
+        : [];
+      return [...(caption ? [caption] : []), ...body];
+    }
+    case "figure": {
+      const blocks = caption ? [caption] : [];
+      if (!node.imagePath) return blocks;
+      const alt = (caption || node.figureId || "").replace(/[[\]]/g, "");
+      const source = imageSource(node.imagePath, baseDir);
+      return [`![${alt}](${source})`, ...blocks];
+    }
+    case "formula":
+      if (isLatex(node)) return [`$$\n${node.formula.latex}\n$$`];
+      return hasText(node) ? paragraphs(node.content) : [];
+    default:
+      // Escape a leading "#" so body text never turns into a heading
+      return hasText(node)
+        ? paragraphs(node.content).map((p) => p.replace(/^#/, "\\#"))
+        : [];
+  }
+}
+
+// Render documentStructure as Markdown: headings become #..####, list items
+// lists, tables pipe tables, figures image references (relative to `baseDir`,
+// the directory the file is written to) and formulas $$ math blocks. Page
+// furniture is left out.
+export function buildMarkdown(documentStructure, { baseDir = null } = {}) {
+  const blocks = [];
+
+  const walk = (nodes) => {
+    for (const node of exportedNodes(nodes)) {
+      if (node.children) {
+        if (hasHeading(node)) {
+          blocks.push(`${"#".repeat(headingDepth(node))} ${node.title.trim()}`);
+        }
+        walk(node.children);
+      } else {
+        blocks.push(...markdownBlocks(node, baseDir));
+      }
+    }
+  };
+
+  walk(documentStructure);
+
+  return blocks.join("\n\n") + "\n";
+}
+
+// Markdown of a single content node, as in buildMarkdown(); a list item
+// keeps its own number or becomes a "-" item. Page furniture gives "".
+export function nodeToMarkdown(node, { baseDir = null } = {}) {
+  if (FURNITURE_TYPES.has(node.type) || node.furniture) return "";
+  if (node.type === "list_item" && hasText(node)) {
+    const text = paragraphs(node.content).join(" ");
+    return NUMBERING.test(text) ? text : `- ${text.replace(BULLET, "")}`;
+  }
+  return markdownBlocks(node, baseDir).join("\n\n");
+}
+
+function htmlParagraphs(text, attrs = "") {
+  return paragraphs(text).map((p) => `<p${attrs}>${escapeHtml(p)}</p>`);
+}
+
+function htmlBlocks(node, baseDir) {
+  const caption = node.caption ? paragraphs(node.caption).join(" ") : null;
+
+  switch (node.type) {
+    case "list": {
+      const tag = node.ordered ? "ol" : "ul";
+      const items = node.items.map((item) => `  <li>${escapeHtml(item)}</li>`);
+      return [`<${tag}>`, ...items, `</${tag}>`];
+    }
+    case "table":
+      if (node.table) return [tableToHtml(node.table, caption)];
+      return [
+        ...(hasText(node) ? htmlParagraphs(node.content) : []),
+        ...(caption ? htmlParagraphs(caption, ' class="caption"') : []),
+      ];
+    case "figure": {
+      if (!node.imagePath && !caption) return [];
+      const image = node.imagePath
+        ? [
+            `  <img src="${escapeHtml(
+              imageSource(node.imagePath, baseDir)
+            )}" alt="${escapeHtml(caption || node.figureId || "")}">`,
+          ]
+        : [];
+      const figcaption = caption
+        ? [`  <figcaption>${escapeHtml(caption)}</figcaption>`]
+        : [];
+      return ["<figure>", ...image, ...figcaption, "</figure>"];
+    }
+    case "formula":
+      if (isLatex(node)) {
+        return [
+          node.formula.mathml ||
+            `<div class="math">\\[${escapeHtml(node.formula.latex)}\\]</div>`,
+        ];
+      }
+      return hasText(node) ? htmlParagraphs(node.content) : [];
+    case "caption":
+      return hasText(node)
+        ? htmlParagraphs(node.content, ' class="caption"')
+        : [];
+    case "footnote":
+      return hasText(node)
+        ? [
+            '<aside class="footnote">',
+            ...htmlParagraphs(node.content),
+            "</aside>",
+          ]
+        : [];
+    default:
+      return hasText(node) ? htmlParagraphs(node.content) : [];
+  }
+}
+
+// Render documentStructure as a standalone semantic HTML page: one <section>
+// per heading with <h1>..<h4>, <p>, <ul>/<ol>, <table>, <figure> with
+// <figcaption>, and formulas as MathML (or \[...\] LaTeX for MathJax/KaTeX).
+// Page furniture is left out.
+export function buildHtml(
+  documentStructure,
+  { title = "Document", lang = null, baseDir = null } = {}
+) {
+  const lines = [];
+
+  const walk = (nodes) => {
+    for (const node of exportedNodes(nodes)) {
+      if (!node.children) {
+        lines.push(...htmlBlocks(node, baseDir));
+      } else if (hasHeading(node)) {
+        const tag = `h${headingDepth(node)}`;
+        lines.push("<section>");
+        lines.push(`<${tag}>${escapeHtml(node.title.trim())}</${tag}>`);
+        walk(node.children);
+        lines.push("</section>");
+      } else {
+        walk(node.children);
+      }
+    }
+  };
+
+  walk(documentStructure);
+
+  return [
+    "<!DOCTYPE html>",
+    lang ? `<html lang="${escapeHtml(lang)}">` : "<html>",
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    "</head>",
+    "<body>",
+    "<article>",
+    ...lines,
+    "</article>",
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
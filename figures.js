@@ -0,0 +1,91 @@
+// figures.js
+
+// Detections a caption can describe
+export const CAPTIONED_LABELS = new Set(["Picture", "Table"]);
+
+// Furthest a caption sits from its figure, as a fraction of the page size
+export const MAX_CAPTION_DISTANCE = 0.08;
+
+// "Figure 3", "Fig. 2", "Table 1", "Tab. 4": the kind of element a caption
+// names, when it says so
+const CAPTION_KINDS = [
+  [/^(fig(ure)?|image|chart|plate)\b/i, "Picture"],
+  [/^(tab(le)?)\b/i, "Table"],
+];
+
+export function captionKind(text) {
+  const match = CAPTION_KINDS.find(([pattern]) => pattern.test(text.trim()));
+  return match ? match[1] : null;
+}
+
+// Overlap of two intervals, negative for the gap between them
+function overlap(a0, a1, b0, b1) {
+  return Math.min(a1, b1) - Math.max(a0, b0);
+}
+
+// Gap between a caption and a figure as a page fraction: vertical for a
+// caption above or below, horizontal for one beside it; null when they
+// neither share columns nor rows
+function captionGap(caption, figure, pageWidth, pageHeight) {
+  if (overlap(caption[0], caption[2], figure[0], figure[2]) > 0) {
+    const gap = -overlap(caption[1], caption[3], figure[1], figure[3]);
+    return Math.max(0, gap) / pageHeight;
+  }
+  if (overlap(caption[1], caption[3], figure[1], figure[3]) > 0) {
+    const gap = -overlap(caption[0], caption[2], figure[0], figure[2]);
+    return Math.max(0, gap) / pageWidth;
+  }
+  return null;
+}
+
+// Distance between box centres as a page fraction, for breaking ties
+function centreDistance(a, b, pageWidth, pageHeight) {
+  return Math.hypot(
+    (a[0] + a[2] - b[0] - b[2]) / 2 / pageWidth,
+    (a[1] + a[3] - b[1] - b[3]) / 2 / pageHeight
+  );
+}
+
+// Figure or table among `targets` that a caption describes: the smallest
+// gap, nearest centre on a tie, restricted to the kind the caption names
+// ("Table 2: ...") when there is one. Boxes are pixel `bbox`es; returns
+// null when every target is too far. Reading order uses the same match to
+// keep a caption next to its figure, so the two never disagree.
+export function findCaptionTarget(caption, targets, pageWidth, pageHeight) {
+  const kind = captionKind(caption.extractedText || "");
+  const candidates =
+    kind && targets.some((t) => t.label === kind)
+      ? targets.filter((t) => t.label === kind)
+      : targets;
+
+  let best = null;
+  for (const target of candidates) {
+    const gap = captionGap(caption.bbox, target.bbox, pageWidth, pageHeight);
+    if (gap === null || gap > MAX_CAPTION_DISTANCE) continue;
+    const tie = centreDistance(
+      caption.bbox,
+      target.bbox,
+      pageWidth,
+      pageHeight
+    );
+    if (!best || gap < best.gap || (gap === best.gap && tie < best.tie)) {
+      best = { target, gap, tie };
+    }
+  }
+  return best ? best.target : null;
+}
+
+// Link each caption on a page to its figure or table (findCaptionTarget()).
+// Detections need a pixel `bbox`, `label`, `id` and `extractedText`. Returns
+// a Map from caption id to figure or table id; captions too far from any
+// figure are left out.
+export function linkCaptions(detections, pageWidth, pageHeight) {
+  const targets = detections.filter((d) => CAPTIONED_LABELS.has(d.label));
+  const links = new Map();
+
+  for (const caption of detections.filter((d) => d.label === "Caption")) {
+    const target = findCaptionTarget(caption, targets, pageWidth, pageHeight);
+    if (target) links.set(caption.id, target.id);
+  }
+  return links;
+}
@@ -0,0 +1,163 @@
+// formula_recognition.js
+import fs from "fs/promises";
+import path from "path";
+import {
+  AutoModelForVision2Seq,
+  AutoProcessor,
+  AutoTokenizer,
+  LogitsProcessor,
+  RawImage,
+} from "@huggingface/transformers";
+
+// Default settings for Formula regions
+export const DEFAULT_FORMULA = {
+  enabled: false, // the model is not shipped; turn on once modelPath holds one
+  // Local image-to-LaTeX model (an ONNX VisionEncoderDecoder export with
+  // config.json, preprocessor_config.json, tokenizer files and onnx/)
+  modelPath: "models/formula",
+  maxTokens: 512, // longest LaTeX sequence generated
+  minConfidence: 0.5, // below this extractedText keeps the raw text instead
+  mathml: true, // also render MathML (needs the optional temml package)
+};
+
+// Loaded models by absolute path; null when the path failed to load
+const formulaModels = new Map();
+let temml;
+
+// Settings merged over the defaults
+export function resolveFormula(options = {}) {
+  return { ...DEFAULT_FORMULA, ...options };
+}
+
+// Records the probability of the token chosen at each decoding step. Greedy
+// decoding picks the most likely token, so that is the softmax maximum.
+class TokenProbabilities extends LogitsProcessor {
+  constructor() {
+    super();
+    this.probabilities = [];
+  }
+
+  _call(inputIds, logits) {
+    const vocabSize = logits.dims.at(-1);
+    const row = logits.data.subarray(0, vocabSize); // batch of one
+    let max = -Infinity;
+    for (const value of row) max = Math.max(max, value);
+    let sum = 0;
+    for (const value of row) sum += Math.exp(value - max);
+    this.probabilities.push(1 / sum);
+    return logits;
+  }
+}
+
+// Load the formula model from a local directory, once per path. Returns
+// { model, processor, tokenizer }, or null (with a warning the first time)
+// when the model is missing or fails to load.
+export async function loadFormulaModel(modelPath) {
+  const absolutePath = path.resolve(modelPath);
+  if (formulaModels.has(absolutePath)) return formulaModels.get(absolutePath);
+
+  const loading = (async () => {
+    try {
+      await fs.access(path.join(absolutePath, "config.json"));
+    } catch {
+      console.warn(
+        `⚠️  No formula model at ${absolutePath}, Formula regions use plain OCR`
+      );
+      return null;
+    }
+
+    try {
+      console.log("🔄 Loading formula model...");
+      const options = { local_files_only: true };
+      const [model, processor, tokenizer] = await Promise.all([
+        AutoModelForVision2Seq.from_pretrained(absolutePath, {
+          ...options,
+          dtype: "fp32",
+        }),
+        AutoProcessor.from_pretrained(absolutePath, options),
+        AutoTokenizer.from_pretrained(absolutePath, options),
+      ]);
+      console.log("✅ Formula model loaded");
+      return { model, processor, tokenizer };
+    } catch (error) {
+      console.warn("⚠️  Failed to load formula model:", error.message);
+      return null;
+    }
+  })();
+  formulaModels.set(absolutePath, loading);
+  return loading;
+}
+
+// Remove the $...$, $$...$$, \[...\] or \(...\) around model output
+export function stripMathDelimiters(latex) {
+  return latex
+    .trim()
+    .replace(/^\$\$([\s\S]*)\$\$$/, "$1")
+    .replace(/^\$([\s\S]*)\$$/, "$1")
+    .replace(/^\\\[([\s\S]*)\\\]$/, "$1")
+    .replace(/^\\\(([\s\S]*)\\\)$/, "$1")
+    .trim();
+}
+
+// MathML for a LaTeX string, or null when temml is not installed or the
+// LaTeX does not parse
+async function latexToMathml(latex) {
+  if (temml === undefined) {
+    try {
+      temml = (await import("temml")).default;
+    } catch {
+      console.warn("⚠️  temml not installed, formulas get no MathML");
+      temml = null;
+    }
+  }
+  if (!temml) return null;
+
+  try {
+    return temml.renderToString(latex, {
+      displayMode: true,
+      xml: true,
+      throwOnError: true,
+    });
+  } catch {
+    return null;
+  }
+}
+
+// Recognize the formula in an image file. Returns { latex, mathml,
+// confidence } with confidence the geometric mean of the token
+// probabilities (0-1), or null when no model is available or nothing was
+// recognized.
+export async function recognizeFormula(imagePath, options = {}) {
+  const settings = resolveFormula(options);
+  const loaded = await loadFormulaModel(settings.modelPath);
+  if (!loaded) return null;
+
+  const { model, processor, tokenizer } = loaded;
+  const image = await RawImage.read(imagePath);
+  const { pixel_values } = await processor(image);
+
+  const probabilities = new TokenProbabilities();
+  const sequences = await model.generate({
+    pixel_values,
+    max_new_tokens: settings.maxTokens,
+    do_sample: false,
+    num_beams: 1,
+    logits_processor: [probabilities],
+  });
+
+  const latex = stripMathDelimiters(
+    tokenizer.batch_decode(sequences, { skip_special_tokens: true })[0]
+  );
+  if (!latex) return null;
+
+  const steps = probabilities.probabilities;
+  const meanLog =
+    steps.reduce((sum, p) => sum + Math.log(Math.max(p, 1e-12)), 0) /
+    Math.max(1, steps.length);
+
+  return {
+    latex,
+    mathml: settings.mathml ? await latexToMathml(latex) : null,
+    confidence: parseFloat(Math.exp(meanLog).toFixed(3)),
+  };
+}
@@ -0,0 +1,131 @@
+// furniture.js
+import { fuzzyMatch } from "./matching_utils.js";
+
+// Running headers and footers live in the top and bottom page margins
+const MARGIN_ZONE = 0.1; // page-height fraction
+const FURNITURE_LABELS = new Set(["Page-header", "Page-footer"]);
+
+const SIMILARITY_THRESHOLD = 0.85; // fuzzyMatch score for "same running text"
+const MIN_REPEATS = 3; // pages a text must repeat on (fewer for short documents)
+
+// "Page 7", "page 7 of 12", "7/12": page numbers that say so
+const PAGE_NUMBER_PATTERNS = [
+  /^(?:page|p\.|pg\.?)\s*\d{1,4}(?:\s*(?:of|\/)\s*\d{1,4})?$/i,
+  /^\d{1,4}\s*(?:of|\/)\s*\d{1,4}$/i,
+];
+
+// "7", "- 7 -" and "vii" could also be a year or a word ("mix", "cc"), so
+// they only count up to the document's page count
+const BARE_NUMBER = /^[-\u2013\u2014\s]*(\d{1,4})[-\u2013\u2014\s]*$/;
+const ROMAN_NUMERAL =
+  /^(?=[mdclxvi])m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/i;
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+
+function romanValue(numeral) {
+  const values = [...numeral.toLowerCase()].map((char) => ROMAN_VALUES[char]);
+  return values.reduce(
+    (sum, value, index) =>
+      value < (values[index + 1] || 0) ? sum - value : sum + value,
+    0
+  );
+}
+
+// Whether a text is a page number. Bare numbers and roman numerals must not
+// exceed `maxPage`.
+export function isPageNumber(text, maxPage = Infinity) {
+  const value = (text || "").trim();
+  if (value === "") return false;
+  if (PAGE_NUMBER_PATTERNS.some((p) => p.test(value))) return true;
+
+  const bare = value.match(BARE_NUMBER);
+  if (bare) return parseInt(bare[1]) <= maxPage;
+  return ROMAN_NUMERAL.test(value) && romanValue(value) <= maxPage;
+}
+
+// Running text compared without case, digits or spacing, so "Chapter 2 | 14"
+// and "Chapter 2 | 15" are the same header
+function normalizeRunningText(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/\d+/g, "#")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// "top" or "bottom" when a detection sits in a page margin, otherwise null
+function marginZone(detection) {
+  const [, y0, , y1] = detection.bbox_normalized;
+  if (y1 <= MARGIN_ZONE) return "top";
+  if (y0 >= 1 - MARGIN_ZONE) return "bottom";
+  return null;
+}
+
+// Find page furniture across the whole document: page numbers, text that
+// repeats in the same margin on several pages (fuzzy matched, so OCR noise
+// and changing numbers still match), and Page-header/Page-footer detections.
+// Detections need id, label, pageNumber, bbox_normalized and extractedText.
+// A bare number or roman numeral in a margin is only a page number up to
+// `pageCount`, the document's page count (the highest parsed page number
+// when not given), unless the detector labelled the region Page-header or
+// Page-footer. Text repeats when it is on MIN_REPEATS pages, or on every
+// parsed page when fewer were parsed.
+// Returns Map id -> reason ("page-number", "repeating" or "label").
+export function findFurniture(detections, { pageCount = null } = {}) {
+  const furniture = new Map();
+  const pageNumbers = detections.map((d) => d.pageNumber);
+  const maxPage = pageCount || Math.max(0, ...pageNumbers);
+  const parsedPageCount = new Set(pageNumbers).size;
+  const minRepeats = Math.max(2, Math.min(MIN_REPEATS, parsedPageCount));
+
+  const candidates = [];
+  for (const detection of detections) {
+    const zone = marginZone(detection);
+    if (!zone && !FURNITURE_LABELS.has(detection.label)) continue;
+
+    const labelled = FURNITURE_LABELS.has(detection.label);
+    if (isPageNumber(detection.extractedText, labelled ? Infinity : maxPage)) {
+      furniture.set(detection.id, "page-number");
+      continue;
+    }
+    const text = normalizeRunningText(detection.extractedText);
+    if (text && !/^\[.*\]$/.test(text)) {
+      candidates.push({ detection, zone, text });
+    } else if (FURNITURE_LABELS.has(detection.label)) {
+      furniture.set(detection.id, "label"); // no readable text to compare
+    }
+  }
+
+  // Group candidates by zone and similar text, and count distinct pages
+  const groups = [];
+  for (const candidate of candidates) {
+    const group = groups.find(
+      (g) =>
+        g.zone === candidate.zone &&
+        fuzzyMatch(g.text, candidate.text) >= SIMILARITY_THRESHOLD
+    );
+    if (group) {
+      group.members.push(candidate);
+      group.pages.add(candidate.detection.pageNumber);
+    } else {
+      groups.push({
+        zone: candidate.zone,
+        text: candidate.text,
+        members: [candidate],
+        pages: new Set([candidate.detection.pageNumber]),
+      });
+    }
+  }
+
+  for (const group of groups) {
+    const repeating = group.pages.size >= minRepeats;
+    for (const { detection } of group.members) {
+      if (repeating) {
+        furniture.set(detection.id, "repeating");
+      } else if (FURNITURE_LABELS.has(detection.label)) {
+        furniture.set(detection.id, "label");
+      }
+    }
+  }
+
+  return furniture;
+}
@@ -0,0 +1,279 @@
+// heading_levels.js
+
+// Labels that open a section in documentStructure. Page headers and captions
+// are content: they never take part in the heading stack.
+export const HEADING_LABELS = new Set(["Title", "Section-header"]);
+
+// Labels measured for style: headings, plus body text as the reference
+export const STYLE_LABELS = new Set(["Title", "Section-header", "Text"]);
+
+const MAX_LEVEL = 4;
+const SECTION_BASE_LEVEL = 2; // Title is H1, top-level sections H2
+
+const DARK_LUMINANCE = 128; // pixels darker than this are ink
+const MIN_LINE_GAP = 2; // ink rows closer than this (px) belong to one line
+const BOLD_STROKE_RATIO = 1.2; // stroke width vs body text that counts as bold
+const SIZE_CLUSTER_TOLERANCE = 0.1; // prominences within 10% share a level
+const INDENT_THRESHOLD = 0.02; // page-width fraction that counts as indented
+const CENTER_TOLERANCE = 0.05; // page-width fraction from the page centre
+
+// Section numbering: "2", "2.3.1", "A.1", "IV." or "B)"
+const ARABIC_NUMBERING = /^(\d{1,2}(?:\.\d{1,3})*)\.?\s+\S/;
+const APPENDIX_NUMBERING = /^([A-Z](?:\.\d{1,3})+)\.?\s+\S/;
+const LETTER_NUMBERING = /^([A-Z]|[IVXLC]{1,6})[.)]\s+\S/;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Measure the text inside a box on a RawImage-like { data, width, height,
+// channels }: number of lines, median line height in pixels, and stroke
+// width relative to line height (higher for bold text)
+export function measureTextStyle(image, bbox) {
+  const { data, width, channels } = image;
+  const x0 = Math.max(0, Math.floor(bbox[0]));
+  const y0 = Math.max(0, Math.floor(bbox[1]));
+  const x1 = Math.min(width, Math.ceil(bbox[2]));
+  const y1 = Math.min(image.height, Math.ceil(bbox[3]));
+  if (x1 <= x0 || y1 <= y0) return null;
+
+  const isDark = (x, y) => {
+    const i = (y * width + x) * channels;
+    const luminance =
+      channels >= 3
+        ? (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000
+        : data[i];
+    return luminance < DARK_LUMINANCE;
+  };
+
+  // Horizontal runs of ink give the stroke width; rows with ink give lines
+  const inkRows = [];
+  let runTotal = 0;
+  let runCount = 0;
+  for (let y = y0; y < y1; y++) {
+    let run = 0;
+    let hasInk = false;
+    for (let x = x0; x < x1; x++) {
+      if (isDark(x, y)) {
+        run++;
+        hasInk = true;
+      } else if (run > 0) {
+        runTotal += run;
+        runCount++;
+        run = 0;
+      }
+    }
+    if (run > 0) {
+      runTotal += run;
+      runCount++;
+    }
+    if (hasInk) inkRows.push(y);
+  }
+  if (inkRows.length === 0) return null;
+
+  const lineHeights = [];
+  let start = inkRows[0];
+  for (let i = 1; i <= inkRows.length; i++) {
+    if (i === inkRows.length || inkRows[i] - inkRows[i - 1] > MIN_LINE_GAP) {
+      lineHeights.push(inkRows[i - 1] - start + 1);
+      start = inkRows[i];
+    }
+  }
+
+  const lineHeight = median(lineHeights);
+  return {
+    lineCount: lineHeights.length,
+    lineHeight,
+    strokeRatio: parseFloat((runTotal / runCount / lineHeight).toFixed(4)),
+  };
+}
+
+// Depth of a heading's section number ("2.3.1" is 3), or null
+export function numberingDepth(text) {
+  const value = (text || "").trim();
+  const arabic =
+    value.match(ARABIC_NUMBERING) || value.match(APPENDIX_NUMBERING);
+  if (arabic) {
+    return { numbering: arabic[1], depth: arabic[1].split(".").length };
+  }
+  const letter = value.match(LETTER_NUMBERING);
+  if (letter) return { numbering: letter[1], depth: 1 };
+  return null;
+}
+
+// Line height as a fraction of the page, comparable across pages and DPIs
+function relativeLineHeight(detection) {
+  return detection.style && detection.pageHeight
+    ? detection.style.lineHeight / detection.pageHeight
+    : null;
+}
+
+// How visually prominent a heading is: size relative to body text, raised
+// for bold and centred headings
+function prominence(heading, body) {
+  const size = relativeLineHeight(heading);
+  const sizeRatio = size && body.lineHeight ? size / body.lineHeight : 1;
+  const bold =
+    heading.style && body.strokeRatio
+      ? heading.style.strokeRatio >= body.strokeRatio * BOLD_STROKE_RATIO
+      : false;
+  const centre = (heading.bbox[0] + heading.bbox[2]) / 2;
+  const centred =
+    heading.pageWidth &&
+    Math.abs(centre - heading.pageWidth / 2) <
+      heading.pageWidth * CENTER_TOLERANCE;
+
+  return {
+    sizeRatio: parseFloat(sizeRatio.toFixed(3)),
+    bold,
+    centred: Boolean(centred),
+    score: sizeRatio * (bold ? 1.15 : 1) * (centred ? 1.05 : 1),
+  };
+}
+
+// Group prominence scores into tiers, most prominent first
+function clusterTiers(headings) {
+  const sorted = [...headings].sort(
+    (a, b) => b.features.score - a.features.score
+  );
+  const tiers = [];
+  for (const heading of sorted) {
+    const tier = tiers[tiers.length - 1];
+    if (
+      tier &&
+      heading.features.score >= tier.top * (1 - SIZE_CLUSTER_TOLERANCE)
+    ) {
+      tier.members.push(heading);
+    } else {
+      tiers.push({ top: heading.features.score, members: [heading] });
+    }
+  }
+  return tiers;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0][0];
+}
+
+// Level for every tier: taken from numbered headings in the tier when there
+// are any, otherwise one below the nearest more prominent tier
+function tierLevels(tiers) {
+  const known = tiers.map((tier) => {
+    const numbered = tier.members.filter((h) => h.numbered);
+    return numbered.length > 0
+      ? mostCommon(numbered.map((h) => h.level))
+      : null;
+  });
+
+  return tiers.map((_, index) => {
+    if (known[index] !== null) return known[index];
+    for (let above = index - 1; above >= 0; above--) {
+      if (known[above] !== null) return known[above] + (index - above);
+    }
+    for (let below = index + 1; below < tiers.length; below++) {
+      if (known[below] !== null) return known[below] - (below - index);
+    }
+    return SECTION_BASE_LEVEL + index;
+  });
+}
+
+// The body text the heading introduces: next Text detection on its page
+function nextBodyText(ordered, index) {
+  for (let i = index + 1; i < ordered.length; i++) {
+    if (ordered[i].pageNumber !== ordered[index].pageNumber) return null;
+    if (ordered[i].label === "Text") return ordered[i];
+  }
+  return null;
+}
+
+function clampLevel(level) {
+  return Math.min(MAX_LEVEL, Math.max(SECTION_BASE_LEVEL, level));
+}
+
+// Infer H1-H4 levels for the document's headings from measured features:
+// section numbering, line height and stroke width relative to body text,
+// centring and indentation. Without a Title the section levels move up so
+// the top one is H1. Detections are enriched detections (pageNumber,
+// reading_order, pageWidth, pageHeight, style). Returns Map id -> { level,
+// numbering, sizeRatio, bold }.
+export function inferHeadingLevels(detections) {
+  const ordered = [...detections].sort(
+    (a, b) => a.pageNumber - b.pageNumber || a.reading_order - b.reading_order
+  );
+
+  const bodyText = ordered.filter((d) => d.label === "Text" && d.style);
+  const body = {
+    lineHeight: median(bodyText.map(relativeLineHeight)),
+    strokeRatio: median(bodyText.map((d) => d.style.strokeRatio)),
+  };
+
+  const levels = new Map();
+  const sections = [];
+  const hasTitle = ordered.some((d) => d.label === "Title");
+
+  ordered.forEach((detection, index) => {
+    if (!HEADING_LABELS.has(detection.label)) return;
+    const features = prominence(detection, body);
+
+    if (detection.label === "Title") {
+      levels.set(detection.id, {
+        level: 1,
+        numbering: null,
+        sizeRatio: features.sizeRatio,
+        bold: features.bold,
+      });
+      return;
+    }
+
+    const numbered = numberingDepth(detection.extractedText);
+    const next = nextBodyText(ordered, index);
+    const indented =
+      next &&
+      detection.bbox[0] - next.bbox[0] > INDENT_THRESHOLD * detection.pageWidth;
+
+    sections.push({
+      detection,
+      features,
+      indented: Boolean(indented),
+      numbered: Boolean(numbered),
+      numbering: numbered ? numbered.numbering : null,
+      level: numbered
+        ? clampLevel(SECTION_BASE_LEVEL + numbered.depth - 1)
+        : null,
+    });
+  });
+
+  const tiers = clusterTiers(sections);
+  const levelsByTier = tierLevels(tiers);
+  tiers.forEach((tier, index) => {
+    for (const section of tier.members) {
+      // Numbering is explicit; size tiers and indentation are the fallback
+      section.level = section.numbered
+        ? section.level
+        : clampLevel(levelsByTier[index] + (section.indented ? 1 : 0));
+    }
+  });
+
+  // No Title to be H1: the most prominent sections take its place
+  const promotion =
+    hasTitle || sections.length === 0
+      ? 0
+      : Math.min(...sections.map((section) => section.level)) - 1;
+  for (const section of sections) {
+    levels.set(section.detection.id, {
+      level: section.level - promotion,
+      numbering: section.numbering,
+      sizeRatio: section.features.sizeRatio,
+      bold: section.features.bold,
+    });
+  }
+
+  return levels;
+}
@@ -0,0 +1,129 @@
+// image_input.js
+import fs from "fs/promises";
+import path from "path";
+
+export const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".tif", ".tiff"];
+
+// File signatures of the supported input formats
+const SIGNATURES = [
+  { format: "pdf", bytes: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+  { format: "png", bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { format: "jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { format: "tiff", bytes: [0x49, 0x49, 0x2a, 0x00] }, // little-endian
+  { format: "tiff", bytes: [0x4d, 0x4d, 0x00, 0x2a] }, // big-endian
+];
+
+let sharp;
+
+async function loadSharp() {
+  if (sharp) return sharp;
+  try {
+    sharp = (await import("sharp")).default;
+  } catch (e) {
+    throw new Error(`sharp is required to read TIFF images: ${e.message}`);
+  }
+  return sharp;
+}
+
+// Detect a file's format from its first bytes: "pdf", "png", "jpeg", "tiff" or null
+export async function detectFileFormat(filePath) {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(8), 0, 8, 0);
+    const header = buffer.subarray(0, bytesRead);
+    const match = SIGNATURES.find(({ bytes }) =>
+      bytes.every((byte, i) => header[i] === byte)
+    );
+    return match ? match.format : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Classify an input path as "pdf", "image" or "image-folder"
+export async function detectInputType(inputPath) {
+  const stats = await fs.stat(inputPath);
+  if (stats.isDirectory()) return "image-folder";
+
+  const format = await detectFileFormat(inputPath);
+  if (format === "pdf") return "pdf";
+  if (format) return "image";
+  throw new Error(
+    `Unsupported input format: ${inputPath} (expected PDF, PNG, JPEG or TIFF)`
+  );
+}
+
+// Page images in a folder, in natural name order (page2 before page10)
+async function listFolderImages(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = entries
+    .filter(
+      (entry) =>
+        entry.isFile() &&
+        IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+    )
+    .map((entry) => entry.name)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  if (files.length === 0) {
+    throw new Error(`No page images found in ${dir}`);
+  }
+  return files.map((file) => path.join(dir, file));
+}
+
+// List the pages of an image input: one per image file, one per TIFF frame
+export async function listImagePages(inputPath, inputType) {
+  const files =
+    inputType === "image-folder"
+      ? await listFolderImages(inputPath)
+      : [inputPath];
+
+  const pages = [];
+  for (const file of files) {
+    const format = await detectFileFormat(file);
+    if (!format || format === "pdf") {
+      throw new Error(`Unsupported page image: ${file}`);
+    }
+
+    if (format === "tiff") {
+      const { pages: frames = 1 } = await (await loadSharp())(file).metadata();
+      for (let frame = 0; frame < frames; frame++) {
+        pages.push({ file, format, frame });
+      }
+    } else {
+      pages.push({ file, format, frame: 0 });
+    }
+  }
+  return pages;
+}
+
+// Resolution an image file records (sharp's `density`), or null when it
+// records none or can't be read
+export async function imageDensity(file, frame = 0) {
+  try {
+    const { density } = await (
+      await loadSharp()
+    )(file, { page: frame }).metadata();
+    return density || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Prepare one image page for layout detection and OCR. PNG and JPEG files
+// are used in place; TIFF frames are converted to PNG in outDir because
+// canvas and RawImage can't decode TIFF.
+// Returns { pageNumber, imagePath, backend, dpi } like rasterizePage(), with
+// the resolution the file records (null when it records none).
+export async function renderImagePage(page, pageNumber, outDir) {
+  const dpi = await imageDensity(page.file, page.frame);
+  if (page.format !== "tiff") {
+    return { pageNumber, imagePath: page.file, backend: "image", dpi };
+  }
+
+  const imagePath = path.join(outDir, `page-${pageNumber}.png`);
+  await (await loadSharp())(page.file, { page: page.frame })
+    .png()
+    .toFile(imagePath);
+  return { pageNumber, imagePath, backend: "tiff", dpi };
+}
@@ -0,0 +1,275 @@
+// image_preprocess.js
+import { measureTextStyle } from "./heading_levels.js";
+
+// Default settings for preprocessImage() and preprocessPage()
+export const DEFAULT_PREPROCESS = {
+  crops: true, // Clean up every region before it is OCR'd
+  page: false, // Deskew and denoise scanned pages before layout detection
+  deskew: true,
+  maxSkewAngle: 5, // degrees searched either way
+  binarize: true, // Adaptive (local mean) thresholding, crops only
+  binarizeSensitivity: 0.15, // how far below the local mean a pixel counts as ink
+  upscale: true,
+  targetDpi: 300, // Tesseract is tuned for text scanned at about 300 DPI
+  minLineHeight: 30, // px: lines smaller than this are scaled up
+  maxUpscale: 4,
+  padding: 10, // px of white border (Tesseract misreads text touching the edge)
+  denoise: true, // 3x3 median filter against speckles
+};
+
+const SKEW_STEP = 0.25; // degrees between tested angles
+const MIN_SKEW = 0.2; // smaller angles are left alone
+const SKEW_SAMPLE_WIDTH = 800; // px: skew is estimated on a downscaled copy
+const DARK_LUMINANCE = 128;
+
+let sharp;
+
+async function loadSharp() {
+  if (sharp) return sharp;
+  try {
+    sharp = (await import("sharp")).default;
+  } catch (e) {
+    throw new Error(`sharp is required for image preprocessing: ${e.message}`);
+  }
+  return sharp;
+}
+
+// Settings merged over the defaults
+export function resolvePreprocess(options = {}) {
+  return { ...DEFAULT_PREPROCESS, ...options };
+}
+
+// Grayscale pixels of an image as { data, width, height, channels: 1 }
+async function readGray(input, maxWidth = null) {
+  let pipeline = (await loadSharp())(input).grayscale();
+  if (maxWidth) {
+    pipeline = pipeline.resize({ width: maxWidth, withoutEnlargement: true });
+  }
+  const { data, info } = await pipeline
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, channels: 1 };
+}
+
+// Skew of the text lines in degrees (positive when lines fall to the right),
+// from the sharpest horizontal projection profile over the tested angles
+export function estimateSkew(gray, maxAngle = DEFAULT_PREPROCESS.maxSkewAngle) {
+  const { data, width, height } = gray;
+  const ink = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] < DARK_LUMINANCE) ink.push(x, y);
+    }
+  }
+  if (ink.length < 2 * 50) return 0; // too little text to tell
+
+  let best = { angle: 0, score: -1 };
+  const offset = Math.ceil(width * Math.tan((maxAngle * Math.PI) / 180));
+  const bins = new Float64Array(height + 2 * offset + 1);
+  for (let angle = -maxAngle; angle <= maxAngle + 1e-9; angle += SKEW_STEP) {
+    const slope = Math.tan((angle * Math.PI) / 180);
+    bins.fill(0);
+    for (let i = 0; i < ink.length; i += 2) {
+      bins[Math.round(ink[i + 1] - ink[i] * slope) + offset]++;
+    }
+    // Aligned lines give tall, narrow peaks: sum of squared differences
+    let score = 0;
+    for (let i = 1; i < bins.length; i++) {
+      score += (bins[i] - bins[i - 1]) ** 2;
+    }
+    if (score > best.score) best = { angle, score };
+  }
+  return Math.abs(best.angle) < MIN_SKEW ? 0 : best.angle;
+}
+
+// Adaptive binarization (Bradley): a pixel is ink when it is darker than the
+// mean of its neighbourhood by more than `sensitivity`, so shadows and uneven
+// scans keep their text
+export function binarize(gray, sensitivity = 0.15) {
+  const { data, width, height } = gray;
+  const radius = Math.max(7, Math.round(Math.min(width, height) / 16));
+
+  // Integral image of the pixel values; 64-bit floats hold the sums of
+  // upscaled crops, which overflow 32 bits past about 16.8M pixels
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += data[y * width + x];
+      integral[(y + 1) * stride + x + 1] =
+        integral[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const out = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius);
+    const y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius);
+      const x1 = Math.min(width, x + radius + 1);
+      const sum =
+        integral[y1 * stride + x1] -
+        integral[y0 * stride + x1] -
+        integral[y1 * stride + x0] +
+        integral[y0 * stride + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      out[y * width + x] =
+        data[y * width + x] < mean * (1 - sensitivity) ? 0 : 255;
+    }
+  }
+  return { data: out, width, height, channels: 1 };
+}
+
+// Scale factor that brings the source to the target DPI and small text up to
+// a readable line height
+function upscaleFactor(gray, sourceDpi, settings) {
+  let scale = sourceDpi ? settings.targetDpi / sourceDpi : 1;
+  const style = measureTextStyle(gray, [0, 0, gray.width, gray.height]);
+  if (style && style.lineHeight * scale < settings.minLineHeight) {
+    scale = settings.minLineHeight / style.lineHeight;
+  }
+  return Math.min(settings.maxUpscale, Math.max(1, scale));
+}
+
+// Prepare a crop for OCR: grayscale, deskew, upscale, denoise, binarize and
+// pad, as enabled in `options`. `sourceDpi` is the resolution the crop was
+// rendered at (null when unknown). Returns the PNG buffer and the transform,
+// which mapToSource() uses to bring OCR boxes back into crop coordinates.
+export async function preprocessImage(
+  input,
+  { sourceDpi = null, ...options } = {}
+) {
+  const settings = resolvePreprocess(options);
+  const sharpLib = await loadSharp();
+
+  const gray = await readGray(input);
+  const transform = {
+    width: gray.width,
+    height: gray.height,
+    angle: 0,
+    scale: 1,
+    padding: settings.padding,
+  };
+
+  let pipeline = sharpLib(gray.data, {
+    raw: { width: gray.width, height: gray.height, channels: 1 },
+  });
+  if (settings.deskew) {
+    transform.angle = estimateSkew(gray, settings.maxSkewAngle);
+    if (transform.angle !== 0) {
+      pipeline = pipeline.rotate(-transform.angle, { background: "#ffffff" });
+    }
+  }
+  if (settings.upscale) {
+    transform.scale = upscaleFactor(gray, sourceDpi, settings);
+  }
+
+  // Rotation changes the canvas size, so resize in a second pass
+  let { data, info } = await pipeline
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  transform.rotatedWidth = info.width;
+  transform.rotatedHeight = info.height;
+
+  pipeline = sharpLib(data, {
+    raw: { width: info.width, height: info.height, channels: info.channels },
+  }).grayscale();
+  if (transform.scale > 1) {
+    pipeline = pipeline.resize(Math.round(info.width * transform.scale), null, {
+      kernel: "lanczos3",
+    });
+  }
+  if (settings.denoise) pipeline = pipeline.median(3);
+  ({ data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true }));
+
+  let processed = { data, width: info.width, height: info.height, channels: 1 };
+  if (settings.binarize) {
+    processed = binarize(processed, settings.binarizeSensitivity);
+  }
+
+  const buffer = await sharpLib(processed.data, {
+    raw: { width: processed.width, height: processed.height, channels: 1 },
+  })
+    .extend({
+      top: settings.padding,
+      bottom: settings.padding,
+      left: settings.padding,
+      right: settings.padding,
+      background: "#ffffff",
+    })
+    .png()
+    .toBuffer();
+
+  return { buffer, transform };
+}
+
+// Map an [x0, y0, x1, y1] box from a preprocessed image back to the original
+// image: remove padding and scaling, then undo the deskew rotation around
+// the image centre
+export function mapToSource(box, transform) {
+  const { padding, scale, angle } = transform;
+  const unscale = (v) => (v - padding) / scale;
+  const corners = [
+    [unscale(box[0]), unscale(box[1])],
+    [unscale(box[2]), unscale(box[1])],
+    [unscale(box[0]), unscale(box[3])],
+    [unscale(box[2]), unscale(box[3])],
+  ];
+
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const points = corners.map(([x, y]) => {
+    const dx = x - transform.rotatedWidth / 2;
+    const dy = y - transform.rotatedHeight / 2;
+    return [
+      dx * cos - dy * sin + transform.width / 2,
+      dx * sin + dy * cos + transform.height / 2,
+    ];
+  });
+
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  return [
+    Math.max(0, Math.round(Math.min(...xs))),
+    Math.max(0, Math.round(Math.min(...ys))),
+    Math.min(transform.width, Math.round(Math.max(...xs))),
+    Math.min(transform.height, Math.round(Math.max(...ys))),
+  ];
+}
+
+// Deskew and denoise a whole scanned page before layout detection. The page
+// keeps its size (corners rotated out of view are cut off) so detections stay
+// in the same pixel space. Writes `outputPath` and returns the skew angle.
+export async function preprocessPage(imagePath, outputPath, options = {}) {
+  const settings = resolvePreprocess(options);
+  const sharpLib = await loadSharp();
+
+  const angle = settings.deskew
+    ? estimateSkew(
+        await readGray(imagePath, SKEW_SAMPLE_WIDTH),
+        settings.maxSkewAngle
+      )
+    : 0;
+
+  let pipeline = sharpLib(imagePath);
+  if (angle !== 0) {
+    const { width, height } = await sharpLib(imagePath).metadata();
+    const { data, info } = await sharpLib(imagePath)
+      .rotate(-angle, { background: "#ffffff" })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    pipeline = sharpLib(data).extract({
+      left: Math.floor((info.width - width) / 2),
+      top: Math.floor((info.height - height) / 2),
+      width,
+      height,
+    });
+  }
+
+  if (settings.denoise) pipeline = pipeline.median(3);
+  await pipeline.png().toFile(outputPath);
+  return { angle };
+}
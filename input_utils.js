@@ -0,0 +1,112 @@
+// input_utils.js
+import fs from "fs/promises";
+import path from "path";
+
+export const PDF_EXTENSIONS = [".pdf"];
+
+const GLOB_CHARS = /[*?]/;
+
+// Convert a glob (*, ** and ?) into a RegExp over "/"-separated relative paths
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" matches zero or more directories
+      if (glob[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function hasExtension(file, extensions) {
+  return extensions.includes(path.extname(file).toLowerCase());
+}
+
+// Recursively list files with one of the given extensions under a directory
+async function listFiles(dir, extensions) {
+  const entries = await fs.readdir(dir, {
+    recursive: true,
+    withFileTypes: true,
+  });
+  return entries
+    .filter((entry) => entry.isFile() && hasExtension(entry.name, extensions))
+    .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name));
+}
+
+// Expand a glob pattern relative to its non-glob base directory
+async function expandGlob(pattern, extensions) {
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex((segment) => GLOB_CHARS.test(segment));
+  const baseDir = segments.slice(0, firstGlob).join("/") || ".";
+  const matcher = globToRegExp(segments.slice(firstGlob).join("/"));
+
+  let files;
+  try {
+    files = await listFiles(baseDir, extensions);
+  } catch (error) {
+    return []; // Base directory doesn't exist
+  }
+  return files.filter((file) =>
+    matcher.test(path.relative(baseDir, file).split(path.sep).join("/"))
+  );
+}
+
+// Resolve files, directories and glob patterns into a sorted list of input files.
+// With folderDocuments, each directory is kept as a single input (a document
+// made of page images) instead of being searched for files.
+// Missing paths and patterns without matches are reported in `missing`.
+export async function resolveInputFiles(
+  inputs,
+  extensions = PDF_EXTENSIONS,
+  { folderDocuments = false } = {}
+) {
+  const files = new Set();
+  const missing = [];
+
+  for (const input of inputs) {
+    if (GLOB_CHARS.test(input)) {
+      const matches = await expandGlob(input, extensions);
+      if (matches.length === 0) missing.push(input);
+      matches.forEach((file) => files.add(path.normalize(file)));
+      continue;
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(input);
+    } catch (error) {
+      missing.push(input);
+      continue;
+    }
+
+    if (stats.isDirectory() && folderDocuments) {
+      files.add(path.normalize(input));
+    } else if (stats.isDirectory()) {
+      const found = await listFiles(input, extensions);
+      if (found.length === 0) missing.push(input);
+      found.forEach((file) => files.add(path.normalize(file)));
+    } else {
+      files.add(path.normalize(input));
+    }
+  }
+
+  return {
+    files: [...files].sort((a, b) =>
+      a.localeCompare(b, undefined, { numeric: true })
+    ),
+    missing,
+  };
+}
@@ -0,0 +1,176 @@
+// language_detection.js
+
+// Candidate languages for ocrLanguage "auto" (Tesseract codes)
+export const DEFAULT_AUTO_LANGUAGES = [
+  "eng",
+  "fra",
+  "deu",
+  "spa",
+  "hin",
+  "jpn",
+];
+
+// Writing system of each supported Tesseract language
+export const LANGUAGE_SCRIPTS = {
+  eng: "Latin",
+  fra: "Latin",
+  deu: "Latin",
+  spa: "Latin",
+  ita: "Latin",
+  por: "Latin",
+  nld: "Latin",
+  rus: "Cyrillic",
+  ukr: "Cyrillic",
+  ell: "Greek",
+  ara: "Arabic",
+  fas: "Arabic",
+  urd: "Arabic",
+  heb: "Hebrew",
+  hin: "Devanagari",
+  mar: "Devanagari",
+  nep: "Devanagari",
+  jpn: "Japanese",
+  chi_sim: "Chinese",
+  chi_tra: "Chinese",
+  kor: "Korean",
+  tha: "Thai",
+};
+
+// Language assumed for a script when none of the candidates uses it
+const SCRIPT_DEFAULTS = {
+  Latin: "eng",
+  Cyrillic: "rus",
+  Greek: "ell",
+  Arabic: "ara",
+  Hebrew: "heb",
+  Devanagari: "hin",
+  Japanese: "jpn",
+  Chinese: "chi_sim",
+  Korean: "kor",
+  Thai: "tha",
+};
+
+// Unicode ranges per script. Kana decide between Japanese and Chinese, since
+// both are written with Han characters.
+const SCRIPT_PATTERNS = [
+  ["Latin", /[A-Za-z\u00C0-\u024F]/],
+  ["Cyrillic", /[\u0400-\u04FF]/],
+  ["Greek", /[\u0370-\u03FF]/],
+  ["Arabic", /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/],
+  ["Hebrew", /[\u0590-\u05FF]/],
+  ["Devanagari", /[\u0900-\u097F]/],
+  ["Thai", /[\u0E00-\u0E7F]/],
+  ["Korean", /[\uAC00-\uD7AF\u1100-\u11FF\u3130-\u318F]/],
+  ["Kana", /[\u3040-\u30FF\u31F0-\u31FF]/],
+  ["Han", /[\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/],
+];
+const MIN_KANA_SHARE = 0.05; // of CJK characters, to call the text Japanese
+
+// Frequent short words that tell Latin-script languages apart
+const STOPWORDS = {
+  eng: "the and of to in is that for with on are this be as by it was from",
+  fra: "le la les des et est une du dans pour que qui pas sur au avec ce sont",
+  deu: "der die und das ist nicht mit den von zu ein eine sich auf im dem des",
+  spa: "el la los las de y que en por con una es del para se no al como",
+  ita: "il di che la per non un una sono della nel gli le del con si è",
+  por: "o a os de que e do da em um uma para não com no na se ao",
+  nld: "de het een en van is dat op te niet met zijn voor in ook aan er",
+};
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [
+    language,
+    new Set(words.split(" ")),
+  ])
+);
+
+// Dominant script of a text and the share of its letters in that script, or
+// null when the text has no letters
+export function detectScript(text) {
+  const counts = {};
+  for (const char of text || "") {
+    const match = SCRIPT_PATTERNS.find(([, pattern]) => pattern.test(char));
+    if (match) counts[match[0]] = (counts[match[0]] || 0) + 1;
+  }
+
+  // Han and kana together are Japanese when kana are present, else Chinese
+  const cjk = (counts.Han || 0) + (counts.Kana || 0);
+  if (cjk > 0) {
+    const japanese = (counts.Kana || 0) / cjk >= MIN_KANA_SHARE;
+    counts[japanese ? "Japanese" : "Chinese"] = cjk;
+    delete counts.Han;
+    delete counts.Kana;
+  }
+
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  if (total === 0) return null;
+  const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return { script, share: parseFloat((count / total).toFixed(3)) };
+}
+
+// Best Latin-script language among `languages` by the share of its stopwords
+// in the text
+function detectLatinLanguage(text, languages) {
+  const tokens = text.toLowerCase().match(/[a-z\u00E0-\u00FF]+/g) || [];
+  let best = { language: languages[0], score: 0 };
+  for (const language of languages) {
+    const stopwords = STOPWORD_SETS[language];
+    if (!stopwords || tokens.length === 0) continue;
+    const score = tokens.filter((t) => stopwords.has(t)).length / tokens.length;
+    if (score > best.score) best = { language, score };
+  }
+  return best;
+}
+
+// Detect the script and language of a text, choosing among `candidates`
+// (Tesseract codes) where possible. Returns { language, script, confidence }
+// or null for text without letters.
+export function detectLanguage(text, candidates = DEFAULT_AUTO_LANGUAGES) {
+  const detected = detectScript(text);
+  if (!detected) return null;
+
+  const { script, share } = detected;
+  const languages = candidates.filter((l) => LANGUAGE_SCRIPTS[l] === script);
+  if (languages.length === 0) {
+    return { language: SCRIPT_DEFAULTS[script], script, confidence: share };
+  }
+  if (languages.length === 1 || script !== "Latin") {
+    return { language: languages[0], script, confidence: share };
+  }
+
+  const { language, score } = detectLatinLanguage(text, languages);
+  return {
+    language,
+    script,
+    // Running text has roughly 30-50% stopwords; scale so that counts as sure
+    confidence: parseFloat((share * Math.min(1, score * 3)).toFixed(3)),
+  };
+}
+
+// One Tesseract model per script among the candidate languages: Latin
+// languages are combined into one model ("eng+fra+deu"), and other scripts
+// add English when it is a candidate, since such documents often quote
+// English terms. Returns [{ script, language }].
+export function scriptModels(candidates) {
+  const byScript = new Map();
+  for (const language of candidates) {
+    const script = LANGUAGE_SCRIPTS[language];
+    if (!script) {
+      throw new Error(
+        `Unsupported language "${language}" for automatic detection (expected ${Object.keys(
+          LANGUAGE_SCRIPTS
+        ).join(", ")})`
+      );
+    }
+    if (!byScript.has(script)) byScript.set(script, []);
+    byScript.get(script).push(language);
+  }
+
+  const withEnglish = candidates.includes("eng");
+  return [...byScript.entries()].map(([script, languages]) => ({
+    script,
+    language:
+      script !== "Latin" && withEnglish
+        ? [...languages, "eng"].join("+")
+        : languages.join("+"),
+  }));
+}
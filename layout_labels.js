@@ -0,0 +1,18 @@
+// layout_labels.js
+
+// Document layout labels (DocLayNet classes predicted by the YOLO model)
+export const id2label = {
+  0: "Caption",
+  1: "Footnote",
+  2: "Formula",
+  3: "List-item",
+  4: "Page-footer",
+  5: "Page-header",
+  6: "Picture",
+  7: "Section-header",
+  8: "Table",
+  9: "Text",
+  10: "Title",
+};
+
+export const LAYOUT_LABELS = Object.values(id2label);
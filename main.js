@@ -1,929 +1,551 @@
-import fs from "fs/promises";
 import path from "path";
-import { createCanvas, loadImage } from "canvas";
-import { AutoModel, AutoProcessor, RawImage } from "@huggingface/transformers";
-
-// Try to import OCR libraries - using tesseract.js worker approach
-let createWorker, Jimp;
-let ocrAvailable = false;
-
-try {
-  const tesseractModule = await import("tesseract.js");
-  createWorker = tesseractModule.createWorker;
-  console.log("✅ tesseract.js loaded successfully");
-  ocrAvailable = true;
-} catch (e) {
-  console.warn("⚠️  tesseract.js not available:", e.message);
-}
-
-try {
-  const jimpModule = await import("jimp");
-  Jimp = jimpModule.default;
-  console.log("✅ Jimp loaded for image processing");
-} catch (e) {
-  console.warn("⚠️  Jimp not available for image processing");
-}
-
-let pdfPoppler, pdfLib;
-
-
-try {
-  const pdfPopplerModule = await import("pdf-poppler");
-  pdfPoppler = pdfPopplerModule.default;
-} catch (e) {
-  console.warn("⚠️  pdf-poppler not available");
-}
-
-try {
-  const pdfLibModule = await import("pdf-lib");
-  pdfLib = pdfLibModule.PDFDocument;
-} catch (e) {
-  console.warn("⚠️  pdf-lib not available");
-}
+import { parseArgs } from "util";
+import {
+  DEFAULT_OPTIONS,
+  OUTPUT_FORMATS,
+  PipelineError,
+  cleanupOCRWorker,
+  cleanupWorkspaces,
+  parseBatch,
+  parseDocument,
+  parsePageRange,
+} from "./document_parser.js";
+import { IMAGE_EXTENSIONS } from "./image_input.js";
+import { PDF_EXTENSIONS, resolveInputFiles } from "./input_utils.js";
+import { loadThresholds } from "./thresholds.js";
+import { scriptModels } from "./language_detection.js";
+import { TEXT_DIRECTIONS } from "./text_direction.js";
+import { resolveChunking } from "./chunking.js";
 
 // Configuration
-const TEMP_DIR = "./temp_images";
 const OUTPUT_DIR = "./output";
-const ANNOTATED_DIR = "./output/annotated_frames";
-// PDF filename will be provided as a command-line argument
-const PDF_PATH = process.argv[2] || "./data/OS-LabFile-HemangJAin_23CS174.pdf"; // Default fallback
-const CONFIDENCE_THRESHOLD = 0.50;
-
-// OCR Configuration for tesseract.js worker
-const OCR_CONFIG = {
-  enabled: ocrAvailable,
-  language: "eng", // Tesseract language: eng, fra, deu, spa, etc.
-};
 
-// Document layout labels
-const id2label = {
-  0: "Caption",
-  1: "Footnote",
-  2: "Formula",
-  3: "List-item",
-  4: "Page-footer",
-  5: "Page-header",
-  6: "Picture",
-  7: "Section-header",
-  8: "Table",
-  9: "Text",
-  10: "Title",
+// Process exit codes, one per failing pipeline stage. OCR (5) also fails a
+// run whose outputs were written when OCR errored on any region.
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  conversion: 3,
+  model: 4,
+  ocr: 5,
+  batch: 6,
 };
 
-// Colors for different element types
-const colors = {
-  Title: "#FF0000",
-  "Section-header": "#00FF00",
-  Text: "#0000FF",
-  "List-item": "#FF00FF",
-  Table: "#FFFF00",
-  Picture: "#00FFFF",
-  Caption: "#FFA500",
-  Formula: "#800080",
-  Footnote: "#808080",
-  "Page-header": "#008000",
-  "Page-footer": "#800000",
-};
-
-// Global OCR worker for reuse across all text extractions
-let ocrWorker = null;
-
-// Initialize OCR worker
-async function initializeOCRWorker() {
-  if (!OCR_CONFIG.enabled || ocrWorker) return;
-
+const USAGE = `Usage: node main.js [options] <input.pdf|image>
+       node main.js [options] <file|dir|glob>...
+
+Inputs may be PDFs or page images (PNG, JPEG, TIFF; each TIFF frame is a page).
+Several inputs, a directory or a glob such as "input/**/*.pdf" run in batch
+mode: each document is written to <output-dir>/<name>/ and a
+batch_manifest.json records per-file status, timings and errors.
+With --image-folder, each directory is instead one document whose page
+images are read in natural name order.
+
+Options:
+  -o, --output-dir <dir>     Output directory (default: ./output)
+      --annotated-dir <dir>  Annotated page images (default: <output-dir>/annotated_frames)
+      --temp-dir <dir>       Parent of the per-run temp workspace (default: OS temp dir)
+  -c, --confidence <n>       Minimum detection confidence, 0-1 (default: 0.50)
+      --thresholds <file>    Per-class thresholds JSON, e.g. {"default": 0.5, "Formula": 0.3}
+                             (--confidence overrides its "default")
+  -l, --lang <langs>         Tesseract language(s), e.g. eng or eng+fra, or auto to
+                             detect the script per page (default: eng)
+      --languages <list>     Candidates for --lang auto (default: eng,fra,deu,spa,hin,jpn)
+      --tessdata <dir>       Local <lang>.traineddata directory for offline OCR
+                             (default: $TESSDATA_PREFIX, else downloaded)
+      --direction <dir>      Reading direction: auto|ltr|rtl|ttb (vertical); auto detects
+                             it per page from the script and line layout (default: auto)
+  -p, --pages <range>        Pages to process, e.g. 3-7 or 1,4-6 (default: all)
+      --dpi <n>              Rasterization resolution (default: 150)
+      --image-folder         Treat each directory as one document of page images
+  -f, --format <list>        Outputs to write: json|csv|md|html|outline|tables|figures|pdf|chunks,
+                             comma-separated or repeated (default: json,csv,outline,figures)
+      --no-ocr               Only use the PDF text layer, never run OCR
+      --no-preprocess        OCR the raw crops (no deskew, binarization or upscaling)
+      --deskew-pages         Deskew and denoise scanned pages before layout detection
+      --formula              Recognize Formula regions as LaTeX with the local model
+                             in models/formula (default: plain OCR)
+      --formula-model <dir>  Same, with the image-to-LaTeX ONNX model in <dir>
+      --figure-text          Also read the text inside pictures
+      --pdf-font <file>      TTF/OTF font for the searchable PDF text layer, needed
+                             for non-Latin scripts (requires @pdf-lib/fontkit)
+      --pdf-boxes            Outline the layout boxes in the searchable PDF
+      --chunk-tokens <n>     Chunk size for --format chunks, in tokens (default: 512)
+      --chunk-overlap <n>    Tokens repeated between neighbouring chunks (default: 64)
+      --no-annotate          Don't write annotated page images
+  -q, --quiet                Only print errors
+  -h, --help                 Show this help
+
+Exit codes:
+  0  success
+  1  unexpected error
+  2  invalid arguments or input file
+  3  PDF conversion or image loading failed
+  4  model loading failed
+  5  OCR failed
+  6  one or more documents in a batch failed`;
+
+// Error for invalid command-line usage
+class UsageError extends Error {}
+
+// Parse and validate command-line arguments into parseDocument() options
+function parseCliArgs(argv) {
+  let parsed;
   try {
-    console.log("🔄 Initializing OCR worker...");
-    ocrWorker = await createWorker(OCR_CONFIG.language);
-    console.log("✅ OCR worker initialized");
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        "output-dir": { type: "string", short: "o" },
+        "annotated-dir": { type: "string" },
+        "temp-dir": { type: "string" },
+        confidence: { type: "string", short: "c" },
+        thresholds: { type: "string" },
+        lang: { type: "string", short: "l" },
+        languages: { type: "string" },
+        tessdata: { type: "string" },
+        direction: { type: "string" },
+        pages: { type: "string", short: "p" },
+        dpi: { type: "string" },
+        "image-folder": { type: "boolean" },
+        format: { type: "string", short: "f", multiple: true },
+        "no-ocr": { type: "boolean" },
+        "no-preprocess": { type: "boolean" },
+        "deskew-pages": { type: "boolean" },
+        "formula-model": { type: "string" },
+        formula: { type: "boolean" },
+        "figure-text": { type: "boolean" },
+        "pdf-font": { type: "string" },
+        "pdf-boxes": { type: "boolean" },
+        "chunk-tokens": { type: "string" },
+        "chunk-overlap": { type: "string" },
+        "no-annotate": { type: "boolean" },
+        quiet: { type: "boolean", short: "q" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
   } catch (error) {
-    console.warn("⚠️  Failed to initialize OCR worker:", error.message);
+    throw new UsageError(error.message);
   }
-}
 
-// Cleanup OCR worker
-async function cleanupOCRWorker() {
-  if (ocrWorker) {
-    try {
-      await ocrWorker.terminate();
-      ocrWorker = null;
-      console.log("✅ OCR worker terminated");
-    } catch (error) {
-      console.warn("⚠️  Error terminating OCR worker:", error.message);
-    }
-  }
-}
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
 
-// OCR function to extract text from image region using tesseract.js worker
-async function extractTextFromRegion(imagePath, bbox, elementType) {
-  if (!OCR_CONFIG.enabled || !ocrWorker) {
-    return `[${elementType} content - OCR not available]`;
+  if (positionals.length === 0) {
+    throw new UsageError(
+      "Expected at least one input PDF, image, directory or glob"
+    );
   }
 
-  // Skip OCR for elements that typically don't contain readable text
-  if (elementType === "Picture") {
-    return `[${elementType} - image content]`;
+  let confidenceThreshold = DEFAULT_OPTIONS.confidenceThreshold;
+  if (values.confidence !== undefined) {
+    confidenceThreshold = Number(values.confidence);
+    if (
+      Number.isNaN(confidenceThreshold) ||
+      confidenceThreshold < 0 ||
+      confidenceThreshold > 1
+    ) {
+      throw new UsageError(
+        `--confidence must be a number between 0 and 1, got "${values.confidence}"`
+      );
+    }
   }
 
-  try {
-    console.log(`🔍 Extracting text from ${elementType} region...`);
-
-    // Create temp file for cropped region
-    const tempCropPath = path.join(
-      TEMP_DIR,
-      `crop_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.png`
+  const formats = values.format
+    ? values.format.flatMap((f) => f.split(",")).map((f) => f.trim())
+    : DEFAULT_OPTIONS.formats;
+  const unknownFormats = formats.filter((f) => !OUTPUT_FORMATS.includes(f));
+  if (unknownFormats.length > 0) {
+    throw new UsageError(
+      `Unknown --format ${unknownFormats.join(
+        ", "
+      )} (expected ${OUTPUT_FORMATS.join(", ")})`
     );
+  }
 
-    // Method 1: Try using Canvas (existing method)
-    try {
-      const image = await loadImage(imagePath);
-      const cropWidth = bbox[2] - bbox[0];
-      const cropHeight = bbox[3] - bbox[1];
-
-      // Ensure minimum dimensions
-      if (cropWidth < 10 || cropHeight < 10) {
-        throw new Error("Region too small for OCR");
-      }
-
-      const canvas = createCanvas(cropWidth, cropHeight);
-      const ctx = canvas.getContext("2d");
-
-      // Crop the region
-      ctx.drawImage(
-        image,
-        bbox[0],
-        bbox[1], // Source x, y
-        cropWidth,
-        cropHeight, // Source width, height
-        0,
-        0, // Destination x, y
-        cropWidth,
-        cropHeight // Destination width, height
+  let dpi = DEFAULT_OPTIONS.dpi;
+  if (values.dpi !== undefined) {
+    dpi = Number(values.dpi);
+    if (!Number.isInteger(dpi) || dpi < 36 || dpi > 1200) {
+      throw new UsageError(
+        `--dpi must be a whole number between 36 and 1200, got "${values.dpi}"`
       );
-
-      // Save cropped image to temp file
-      const buffer = canvas.toBuffer("image/png");
-      await fs.writeFile(tempCropPath, buffer);
-    } catch (canvasError) {
-      console.warn("Canvas crop failed, trying Jimp:", canvasError.message);
-
-      // Method 2: Fallback to Jimp if available
-      if (Jimp) {
-        try {
-          const image = await Jimp.read(imagePath);
-          const cropped = image.crop(
-            bbox[0],
-            bbox[1],
-            bbox[2] - bbox[0],
-            bbox[3] - bbox[1]
-          );
-          await cropped.writeAsync(tempCropPath);
-        } catch (jimpError) {
-          throw new Error(
-            `Both Canvas and Jimp failed: ${canvasError.message}, ${jimpError.message}`
-          );
-        }
-      } else {
-        throw canvasError;
-      }
-    }
-
-    // Perform OCR using tesseract.js worker
-    const {
-      data: { text },
-    } = await ocrWorker.recognize(tempCropPath);
-
-    // Clean up temp file
-    try {
-      await fs.unlink(tempCropPath);
-    } catch (e) {
-      // Ignore cleanup errors
     }
+  }
 
-    // Clean up the extracted text
-    const cleanedText = text.trim().replace(/\s+/g, " ");
-
-    if (cleanedText.length > 0) {
-      console.log(
-        `✅ Extracted: "${cleanedText.substring(0, 50)}${
-          cleanedText.length > 50 ? "..." : ""
-        }"`
-      );
-      return cleanedText;
-    } else {
-      return `[${elementType} - text extraction failed]`;
-    }
+  try {
+    parsePageRange(values.pages);
   } catch (error) {
-    console.warn(`⚠️  OCR failed for ${elementType}:`, error.message);
-    return `[${elementType} - OCR error]`;
+    throw new UsageError(error.message);
   }
-}
 
-// Enhanced function to extract text with retry mechanism
-async function extractTextWithRetry(
-  imagePath,
-  bbox,
-  elementType,
-  maxRetries = 2
-) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+  const ocrLanguages = values.languages
+    ? values.languages.split(",").map((lang) => lang.trim())
+    : DEFAULT_OPTIONS.ocrLanguages;
+  if (values.lang === "auto") {
     try {
-      const text = await extractTextFromRegion(imagePath, bbox, elementType);
-      if (
-        text &&
-        !text.includes("extraction failed") &&
-        !text.includes("OCR error")
-      ) {
-        return text;
-      }
+      scriptModels(ocrLanguages);
     } catch (error) {
-      console.warn(`OCR attempt ${attempt} failed:`, error.message);
-    }
-
-    if (attempt < maxRetries) {
-      console.log(`🔄 Retrying OCR (attempt ${attempt + 1}/${maxRetries})...`);
-      await new Promise((resolve) => setTimeout(resolve, 1000)); // Wait 1 second before retry
+      throw new UsageError(error.message);
     }
   }
 
-  return `[${elementType} content (Page)]`; // Fallback
-}
+  const textDirection = values.direction || DEFAULT_OPTIONS.textDirection;
+  if (textDirection !== "auto" && !TEXT_DIRECTIONS.includes(textDirection)) {
+    throw new UsageError(
+      `Unknown --direction ${textDirection} (expected auto, ${TEXT_DIRECTIONS.join(
+        ", "
+      )})`
+    );
+  }
 
-// Create required directories
-async function setupDirectories() {
+  const chunking = {};
+  if (values["chunk-tokens"] !== undefined) {
+    chunking.maxTokens = Number(values["chunk-tokens"]);
+  }
+  if (values["chunk-overlap"] !== undefined) {
+    chunking.overlapTokens = Number(values["chunk-overlap"]);
+  }
   try {
-    await fs.mkdir(TEMP_DIR, { recursive: true });
-    await fs.mkdir(OUTPUT_DIR, { recursive: true });
-    await fs.mkdir(ANNOTATED_DIR, { recursive: true });
-    console.log("✅ Directories created successfully");
+    resolveChunking(chunking);
   } catch (error) {
-    console.error("❌ Failed to create directories:", error.message);
-    throw error;
+    throw new UsageError(error.message);
   }
-}
 
-// Method 2: Try pdf-poppler
-async function tryPdfPoppler(pdfPath) {
-  if (!pdfPoppler) throw new Error("pdf-poppler not available");
-
-  console.log("🔄 Trying pdf-poppler conversion...");
-
-  const options = {
-    format: "png",
-    out_dir: TEMP_DIR,
-    out_prefix: "page",
-    page: null, // All pages
+  return {
+    inputs: positionals,
+    imageFolder: Boolean(values["image-folder"]),
+    thresholdsFile: values.thresholds || null,
+    confidenceSet: values.confidence !== undefined,
+    quiet: Boolean(values.quiet),
+    options: {
+      outputDir: values["output-dir"] || OUTPUT_DIR,
+      annotatedDir: values["annotated-dir"] || null,
+      tempDir: values["temp-dir"] || DEFAULT_OPTIONS.tempDir,
+      confidenceThreshold,
+      ocrLanguage: values.lang || DEFAULT_OPTIONS.ocrLanguage,
+      ocrLanguages,
+      tessdataDir: values.tessdata || process.env.TESSDATA_PREFIX || null,
+      textDirection,
+      pages: values.pages || null,
+      dpi,
+      formats: [...new Set(formats)],
+      ocr: !values["no-ocr"],
+      preprocess: {
+        crops: !values["no-preprocess"],
+        page: Boolean(values["deskew-pages"]),
+      },
+      figureText: Boolean(values["figure-text"]),
+      pdfFont: values["pdf-font"] || null,
+      pdfLayoutBoxes: Boolean(values["pdf-boxes"]),
+      chunking,
+      formula: {
+        enabled: Boolean(values.formula || values["formula-model"]),
+        ...(values["formula-model"] && { modelPath: values["formula-model"] }),
+      },
+      annotate: !values["no-annotate"],
+    },
   };
-
-  const results = await pdfPoppler.convert(pdfPath, options);
-
-  // Get the generated file paths
-  const files = await fs.readdir(TEMP_DIR);
-  const pngFiles = files.filter((f) => f.endsWith(".png")).sort();
-  return pngFiles.map((f) => path.join(TEMP_DIR, f));
 }
 
-// Main PDF conversion function with multiple fallbacks
-async function convertPdfToImages(pdfPath) {
-  console.log("🔄 Converting PDF to images...");
-  const startTime = performance.now();
-
-  // Clear temp directory first
-  try {
-    await fs.rm(TEMP_DIR, { recursive: true, force: true });
-    await fs.mkdir(TEMP_DIR, { recursive: true });
-  } catch (e) {
-    // Directory might not exist
-  }
-
-  const methods = [
-    { name: "pdf-poppler", func: tryPdfPoppler }
-  ];
-
-  let lastError;
-  for (const method of methods) {
-    try {
-      console.log(`🔧 Attempting ${method.name}...`);
-      const imagePaths = await method.func(pdfPath);
-
-      if (imagePaths && imagePaths.length > 0) {
-        const conversionTime = ((performance.now() - startTime) / 1000).toFixed(
-          2
-        );
-        console.log(
-          `✅ Successfully converted ${imagePaths.length} pages using ${method.name} in ${conversionTime}s`
-        );
-        return imagePaths;
-      }
-    } catch (error) {
-      console.warn(`⚠️  ${method.name} failed:`, error.message);
-      lastError = error;
-      continue;
-    }
-  }
-
-  throw new Error(
-    `All PDF conversion methods failed. Last error: ${lastError?.message}`
-  );
+// Detections whose text was actually read (text layer or OCR)
+function countTextExtractions(detections) {
+  return detections.filter(
+    (d) =>
+      d.extractedText &&
+      !d.extractedText.includes("OCR not available") &&
+      !d.extractedText.includes("extraction failed")
+  ).length;
 }
 
-// Load YOLO model and processor
-async function loadModel() {
-  console.log("🔄 Loading YOLO model...");
-  const startTime = performance.now();
-
-  try {
-    const model = await AutoModel.from_pretrained(
-      "Oblix/yolov10m-doclaynet_ONNX_document-layout-analysis",
-      { dtype: "fp32" }
-    );
-
-    const processor = await AutoProcessor.from_pretrained(
-      "Oblix/yolov10m-doclaynet_ONNX_document-layout-analysis"
+// Show OCR status
+function printOcrStatus(ocr) {
+  if (ocr.enabled) {
+    console.log("\n🔤 OCR Status: ENABLED (using tesseract.js)");
+    console.log(`📖 Language: ${ocr.language}`);
+  } else {
+    console.log("\n🔤 OCR Status: DISABLED");
+    console.log("⚠️  Install OCR dependencies: npm install tesseract.js jimp");
+    console.log(
+      "💡 Tesseract.js runs entirely in JavaScript - no system installation required!"
     );
-
-    const loadTime = ((performance.now() - startTime) / 1000).toFixed(2);
-    console.log(`✅ Model loaded in ${loadTime}s`);
-
-    return { model, processor };
-  } catch (error) {
-    console.error("❌ Model loading failed:", error.message);
-    throw error;
   }
 }
 
-// Process single page with YOLO model
-async function processPage(model, processor, imagePath, pageNumber) {
-  const startTime = performance.now();
-  console.log(`🔄 Processing page ${pageNumber}...`);
+// Print the processing summary for a parsed document
+function printSummary(analysis, options) {
+  const { metadata, pages } = analysis;
+  const ocrEnabled = metadata.ocr.enabled;
+  const pageTime = pages.reduce((sum, p) => sum + p.processingTime, 0);
+
+  console.log("\n" + "=".repeat(60));
+  console.log("📊 PROCESSING SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`📄 Total Pages: ${metadata.totalPages}`);
+  console.log(`⏱️  Total Time: ${metadata.processingTime}s`);
+  console.log(
+    `🔤 Page Processing Time: ${pageTime.toFixed(2)}s (${(
+      (pageTime / metadata.processingTime) *
+      100
+    ).toFixed(1)}%)`
+  );
+  console.log(`⚡ Average Time/Page: ${metadata.averageTimePerPage}s`);
+  console.log(`🔍 Total Elements Found: ${metadata.totalDetections}`);
 
-  try {
-    // Load and process image
-    const image = await RawImage.read(imagePath);
-    const { pixel_values, reshaped_input_sizes } = await processor(image);
+  if (ocrEnabled) {
+    const totalTextExtractions = countTextExtractions(analysis.allDetections);
+    console.log(
+      `📝 Successful Text Extractions: ${totalTextExtractions}/${
+        metadata.totalDetections
+      } (${((totalTextExtractions / metadata.totalDetections) * 100).toFixed(
+        1
+      )}%)`
+    );
+  }
 
-    // Run YOLO inference
-    const { output0 } = await model({ images: pixel_values });
-    const predictions = output0.tolist()[0];
+  if (options.annotate) {
+    console.log(`📁 Annotated images saved to: ${getAnnotatedDir(options)}`);
+  }
 
-    // Convert predictions to proper format
-    const [newHeight, newWidth] = reshaped_input_sizes[0];
-    const [xs, ys] = [image.width / newWidth, image.height / newHeight];
+  console.log("\n📋 PAGE-BY-PAGE BREAKDOWN:");
+  pages.forEach((page) => {
+    const textCount = ocrEnabled ? countTextExtractions(page.detections) : 0;
 
     console.log(
-      `🔍 Found ${predictions.length} potential detections, filtering by confidence...`
+      `  Page ${page.pageNumber}: ${page.processingTime}s (${
+        page.detectionsCount
+      } elements${ocrEnabled ? `, ${textCount} with text` : ""})`
     );
-    const detections = [];
-
-    for (const [xmin, ymin, xmax, ymax, score, id] of predictions) {
-      if (score < CONFIDENCE_THRESHOLD) continue;
-
-      const bbox = [
-        Math.round(xmin * xs),
-        Math.round(ymin * ys),
-        Math.round(xmax * xs),
-        Math.round(ymax * ys),
-      ];
-
-      const label = id2label[id] || "Unknown";
-
-      // Extract text using OCR for this detection
-      console.log(`📝 Processing ${label} detection...`);
-      const extractedText = await extractTextWithRetry(imagePath, bbox, label);
-
-      const detection = {
-        id: `page${pageNumber}_detection${detections.length + 1}`,
-        bbox: bbox,
-        bbox_normalized: [
-          parseFloat((bbox[0] / image.width).toFixed(4)),
-          parseFloat((bbox[1] / image.height).toFixed(4)),
-          parseFloat((bbox[2] / image.width).toFixed(4)),
-          parseFloat((bbox[3] / image.height).toFixed(4)),
-        ],
-        label: label,
-        confidence: parseFloat(score.toFixed(3)),
-        area: Math.round((bbox[2] - bbox[0]) * (bbox[3] - bbox[1])),
-        center: [
-          Math.round((bbox[0] + bbox[2]) / 2),
-          Math.round((bbox[1] + bbox[3]) / 2),
-        ],
-        width: Math.round(bbox[2] - bbox[0]),
-        height: Math.round(bbox[3] - bbox[1]),
-        extractedText: extractedText, // Store the extracted text
-      };
-
-      detections.push(detection);
-    }
+  });
 
-    console.log(`✅ Processed ${detections.length} detections with OCR`);
+  console.log("\n✅ Processing complete!");
+}
 
-    // Sort detections by reading order (top to bottom, left to right)
-    detections.sort((a, b) => {
-      const yDiff = a.center[1] - b.center[1];
-      if (Math.abs(yDiff) > 20) return yDiff; // Different rows
-      return a.center[0] - b.center[0]; // Same row, sort by x
-    });
+// Annotated images go to --annotated-dir or <output-dir>/annotated_frames
+function getAnnotatedDir(options) {
+  return (
+    options.annotatedDir || path.join(options.outputDir, "annotated_frames")
+  );
+}
 
-    // Add reading order index
-    detections.forEach((detection, index) => {
-      detection.reading_order = index + 1;
-    });
+// Print where the output files went and what to do next
+function printOutputFiles(pdfPath, options, ocrEnabled) {
+  const documentName = path.basename(pdfPath, path.extname(pdfPath));
+  const { outputDir, formats } = options;
 
-    // Create annotated image
-    const annotatedPath = path.join(
-      ANNOTATED_DIR,
-      `page_${pageNumber}_annotated.png`
+  console.log("\n" + "=".repeat(60));
+  console.log("📊 OUTPUT FILES");
+  console.log("=".repeat(60));
+  if (options.annotate) {
+    console.log(`🖼️  Annotated Images: ${getAnnotatedDir(options)}/`);
+  }
+  if (formats.includes("json")) {
+    console.log(
+      `📄 Hierarchical JSON: ${path.join(
+        outputDir,
+        `${documentName}_layout_analysis.json`
+      )}`
     );
-    await createAnnotatedImage(imagePath, detections, annotatedPath);
-
-    const processingTime = ((performance.now() - startTime) / 1000).toFixed(2);
+  }
+  if (formats.includes("outline")) {
     console.log(
-      `✅ Page ${pageNumber} processed in ${processingTime}s - Found ${detections.length} elements`
+      `📑 Outline JSON: ${path.join(outputDir, `${documentName}.json`)}`
     );
-
-    return {
-      pageNumber,
-      processingTime: parseFloat(processingTime),
-      detections: detections, // Return full detection objects with extracted text
-      annotatedPath,
-      sourceImagePath: imagePath,
-      imageWidth: image.width,
-      imageHeight: image.height,
-    };
-  } catch (error) {
-    console.error(`❌ Error processing page ${pageNumber}:`, error.message);
-    throw error;
   }
-}
-
-// Create annotated image with bounding boxes
-async function createAnnotatedImage(imagePath, detections, outputPath) {
-  try {
-    const image = await loadImage(imagePath);
-    const canvas = createCanvas(image.width, image.height);
-    const ctx = canvas.getContext("2d");
-
-    // Draw original image
-    ctx.drawImage(image, 0, 0);
-
-    // Draw annotations
-    ctx.lineWidth = 3;
-    ctx.font = "16px Arial";
-    ctx.textBaseline = "top";
-
-    detections.forEach((detection) => {
-      const { bbox, label, confidence } = detection;
-      const [xmin, ymin, xmax, ymax] = bbox;
-      const color = colors[label] || "#FFFFFF";
-
-      // Draw bounding box
-      ctx.strokeStyle = color;
-      ctx.strokeRect(xmin, ymin, xmax - xmin, ymax - ymin);
-
-      // Draw label background
-      ctx.fillStyle = color;
-      ctx.globalAlpha = 0.7;
-      ctx.fillRect(xmin, ymin - 20, 250, 20);
-
-      // Draw label text
-      ctx.globalAlpha = 1.0;
-      ctx.fillStyle = "#000000";
-      ctx.fillText(
-        `${label} (${(confidence * 100).toFixed(1)}%)`,
-        xmin + 2,
-        ymin - 18
-      );
-    });
-
-    // Save annotated image
-    const buffer = canvas.toBuffer("image/png");
-    await fs.writeFile(outputPath, buffer);
-  } catch (error) {
-    console.error("❌ Error creating annotated image:", error.message);
-    throw error;
+  if (formats.includes("csv")) {
+    console.log(
+      `📊 CSV Summary: ${path.join(
+        outputDir,
+        `${documentName}_detections.csv`
+      )}`
+    );
+  }
+  if (formats.includes("md")) {
+    console.log(`📝 Markdown: ${path.join(outputDir, `${documentName}.md`)}`);
+  }
+  if (formats.includes("html")) {
+    console.log(`🌐 HTML: ${path.join(outputDir, `${documentName}.html`)}`);
+  }
+  if (formats.includes("tables")) {
+    console.log(
+      `📋 Tables: ${path.join(outputDir, `${documentName}_tables`)}/`
+    );
+  }
+  if (formats.includes("figures")) {
+    console.log(
+      `🖼️  Figures: ${path.join(outputDir, `${documentName}_figures`)}/`
+    );
+  }
+  if (formats.includes("chunks")) {
+    console.log(
+      `🧩 Chunks: ${path.join(outputDir, `${documentName}_chunks.jsonl`)}`
+    );
+  }
+  if (formats.includes("pdf")) {
+    console.log(
+      `🔎 Searchable PDF: ${path.join(
+        outputDir,
+        `${documentName}_searchable.pdf`
+      )}`
+    );
+  }
+  console.log("\n🎯 Next Steps:");
+  if (ocrEnabled) {
+    console.log("  • ✅ Text extraction completed automatically");
+    console.log("  • 📋 Use the hierarchical JSON with extracted text content");
+    console.log("  • 🔍 Review and validate extracted text accuracy");
+    console.log("  • 📝 Use structured content for further processing");
+  } else {
+    console.log(
+      "  • 📦 Install OCR dependencies: npm install tesseract.js jimp"
+    );
+    console.log("  • 🔄 Re-run for full OCR functionality");
   }
+  console.log("  • 🏗️  Document structure is ready for analysis");
+  console.log("  • 📊 Export to other formats as needed");
+
+  console.log("\n💡 JSON Structure:");
+  console.log("  • documentStructure: Hierarchical tree with extracted text");
+  console.log("  • allDetections: Flat list with OCR results");
+  console.log("  • pages: Page-by-page organization");
+  console.log("  • ocrProcessingSuggestions: Priority-based targets");
 }
 
-// Save all bounding box detections to hierarchical JSON structure
-async function saveBoundingBoxesToJson(results, totalTime) {
+// Command-line entry point
+async function main() {
+  let cli;
   try {
-    console.log("💾 Saving bounding boxes to hierarchical JSON...");
-
-    // Organize data by element type for easy filtering
-    const elementsByType = {};
-    const allDetections = [];
-
-    // Process each page result
-    results.forEach((pageResult) => {
-      pageResult.detections.forEach((detection) => {
-        // Add page context to detection
-        const enrichedDetection = {
-          ...detection,
-          pageNumber: pageResult.pageNumber,
-          sourceImagePath: pageResult.sourceImagePath,
-          annotatedImagePath: pageResult.annotatedPath,
-          pageWidth: pageResult.imageWidth,
-          pageHeight: pageResult.imageHeight,
-        };
-
-        allDetections.push(enrichedDetection);
-
-        // Group by element type
-        if (!elementsByType[detection.label]) {
-          elementsByType[detection.label] = [];
-        }
-        elementsByType[detection.label].push(enrichedDetection);
-      });
-    });
-
-    // Create hierarchical document structure
-    const documentHierarchy = buildDocumentHierarchy(allDetections);
-
-    // Create comprehensive JSON structure
-    const jsonOutput = {
-      metadata: {
-        totalPages: results.length,
-        totalDetections: allDetections.length,
-        processingTime: totalTime,
-        averageTimePerPage: (totalTime / results.length).toFixed(2),
-        confidence_threshold: CONFIDENCE_THRESHOLD,
-        processedAt: new Date().toISOString(),
-        pdfPath: PDF_PATH,
-        elementTypeCounts: Object.keys(elementsByType).reduce((acc, type) => {
-          acc[type] = elementsByType[type].length;
-          return acc;
-        }, {}),
-      },
-
-      // Hierarchical document structure (main format requested)
-      documentStructure: documentHierarchy,
-
-      // Flat list of all detections for reference
-      allDetections: allDetections,
-
-      // Organized by page for easy page-by-page processing
-      pages: results.map((pageResult) => ({
-        pageNumber: pageResult.pageNumber,
-        processingTime: pageResult.processingTime,
-        sourceImagePath: pageResult.sourceImagePath,
-        annotatedImagePath: pageResult.annotatedPath,
-        imageWidth: pageResult.imageWidth,
-        imageHeight: pageResult.imageHeight,
-        detectionsCount: pageResult.detections.length,
-        detections: pageResult.detections.map((det) => ({
-          ...det,
-          pageNumber: pageResult.pageNumber,
-        })),
-      })),
-
-      // OCR processing suggestions
-      ocrProcessingSuggestions: {
-        textElements: (elementsByType["Text"] || []).map((det) => ({
-          id: det.id,
-          pageNumber: det.pageNumber,
-          bbox: det.bbox,
-          bbox_normalized: det.bbox_normalized,
-          priority: "high",
-        })),
-
-        titleElements: (elementsByType["Title"] || []).map((det) => ({
-          id: det.id,
-          pageNumber: det.pageNumber,
-          bbox: det.bbox,
-          bbox_normalized: det.bbox_normalized,
-          priority: "highest",
-        })),
-
-        tableElements: (elementsByType["Table"] || []).map((det) => ({
-          id: det.id,
-          pageNumber: det.pageNumber,
-          bbox: det.bbox,
-          bbox_normalized: det.bbox_normalized,
-          priority: "high",
-          processingNote:
-            "Use table-specific OCR for better structure recognition",
-        })),
-
-        listElements: (elementsByType["List-item"] || []).map((det) => ({
-          id: det.id,
-          pageNumber: det.pageNumber,
-          bbox: det.bbox,
-          bbox_normalized: det.bbox_normalized,
-          priority: "medium",
-        })),
-      },
-    };
-
-    // Save to JSON file
-    const jsonPath = path.join(OUTPUT_DIR, "document_layout_analysis.json");
-    await fs.writeFile(jsonPath, JSON.stringify(jsonOutput, null, 2));
-
-    console.log(`✅ Hierarchical JSON saved to: ${jsonPath}`);
-    console.log(`📊 Total detections saved: ${allDetections.length}`);
-
-    // Also save a simple CSV format for quick analysis
-    const csvPath = path.join(OUTPUT_DIR, "detections_summary.csv");
-    const csvHeaders =
-      "Page,Element_Type,Confidence,X_Min,Y_Min,X_Max,Y_Max,Width,Height,Area,Reading_Order\n";
-    const csvRows = allDetections
-      .map(
-        (det) =>
-          `${det.pageNumber},${det.label},${det.confidence},${det.bbox[0]},${det.bbox[1]},${det.bbox[2]},${det.bbox[3]},${det.width},${det.height},${det.area},${det.reading_order}`
-      )
-      .join("\n");
-
-    await fs.writeFile(csvPath, csvHeaders + csvRows);
-    console.log(`📊 CSV summary saved to: ${csvPath}`);
-
-    return jsonPath;
+    cli = parseCliArgs(process.argv.slice(2));
   } catch (error) {
-    console.error("❌ Error saving bounding boxes to JSON:", error.message);
-    throw error;
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    process.exitCode = EXIT_CODES.usage;
+    return;
   }
-}
 
-// Build hierarchical document structure
-function buildDocumentHierarchy(detections) {
-  console.log("🏗️  Building hierarchical document structure...");
-
-  // Sort detections by page and reading order
-  const sortedDetections = detections.sort((a, b) => {
-    if (a.pageNumber !== b.pageNumber) {
-      return a.pageNumber - b.pageNumber;
-    }
-    return a.reading_order - b.reading_order;
-  });
-
-  const hierarchy = [];
-  const headingStack = []; // Stack to track current heading hierarchy
-
-  // Define heading levels (you can adjust this based on your needs)
-  const headingLevels = {
-    Title: "H1",
-    "Section-header": "H2",
-    "Page-header": "H3",
-    Caption: "H4",
-  };
-
-  sortedDetections.forEach((detection) => {
-    const { label, bbox, pageNumber, confidence, id, extractedText } =
-      detection;
-
-    if (headingLevels[label]) {
-      // This is a heading element
-      const level = headingLevels[label];
-      const headingNode = {
-        id: id,
-        title: extractedText || `${label} (Page ${pageNumber})`, // Use extracted text or fallback
-        level: level,
-        page: pageNumber,
-        bbox: bbox,
-        bbox_normalized: detection.bbox_normalized,
-        confidence: confidence,
-        children: [],
-      };
-
-      // Find the right place in hierarchy based on heading level
-      const levelNum = parseInt(level.replace("H", ""));
-
-      // Pop headings from stack that are at same or lower level
-      while (
-        headingStack.length > 0 &&
-        parseInt(
-          headingStack[headingStack.length - 1].level.replace("H", "")
-        ) >= levelNum
-      ) {
-        headingStack.pop();
-      }
+  if (cli.help) {
+    console.log(USAGE);
+    return;
+  }
 
-      if (headingStack.length === 0) {
-        // Top level heading
-        hierarchy.push(headingNode);
-      } else {
-        // Add as child to current parent
-        headingStack[headingStack.length - 1].children.push(headingNode);
-      }
+  const { inputs, options } = cli;
 
-      headingStack.push(headingNode);
-    } else {
-      // This is content (text, table, list, etc.)
-      const contentNode = {
-        id: id,
-        type: label.toLowerCase().replace("-", "_"),
-        content: extractedText || `${label} content (Page ${pageNumber})`, // Use extracted text or fallback
-        bbox: bbox,
-        bbox_normalized: detection.bbox_normalized,
-        page: pageNumber,
-        confidence: confidence,
-        width: detection.width,
-        height: detection.height,
-        area: detection.area,
-        reading_order: detection.reading_order,
-      };
-
-      if (headingStack.length > 0) {
-        // Add content under current heading
-        headingStack[headingStack.length - 1].children.push(contentNode);
-      } else {
-        // No current heading - create a default section
-        const defaultSection = {
-          id: `default_section_page_${pageNumber}`,
-          title: `Content (Page ${pageNumber})`,
-          level: "H1",
-          page: pageNumber,
-          children: [contentNode],
-        };
-        hierarchy.push(defaultSection);
-        headingStack.push(defaultSection);
+  // Per-class thresholds; an explicit --confidence beats the file's default
+  if (cli.thresholdsFile) {
+    try {
+      const thresholds = await loadThresholds(cli.thresholdsFile);
+      options.classThresholds = thresholds.classThresholds;
+      if (!cli.confidenceSet && thresholds.confidenceThreshold !== undefined) {
+        options.confidenceThreshold = thresholds.confidenceThreshold;
       }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = EXIT_CODES.usage;
+      return;
     }
-  });
+  }
+  const { files, missing } = await resolveInputFiles(
+    inputs,
+    [...PDF_EXTENSIONS, ...IMAGE_EXTENSIONS],
+    { folderDocuments: cli.imageFolder }
+  );
 
-  console.log(`✅ Built hierarchy with ${hierarchy.length} top-level sections`);
-  return hierarchy;
-}
+  missing.forEach((input) =>
+    console.error(`❌ No PDF or image found for: ${input}`)
+  );
+  if (files.length === 0 || (missing.length > 0 && inputs.length === 1)) {
+    process.exitCode = EXIT_CODES.usage;
+    return;
+  }
 
+  // Quiet mode keeps errors only
+  if (cli.quiet) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
 
-// Main processing pipeline
-async function main() {
-  const totalStartTime = performance.now();
+  // Remove temp workspaces when interrupted
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, async () => {
+      console.error(`\n❌ Interrupted (${signal}), cleaning up...`);
+      await cleanupWorkspaces();
+      process.exit(128 + (signal === "SIGINT" ? 2 : 15));
+    });
+  }
+
+  // A single plain file keeps the flat output layout; anything else is a batch
+  const batchMode = !(
+    inputs.length === 1 &&
+    files.length === 1 &&
+    path.normalize(inputs[0]) === files[0]
+  );
 
   try {
     console.log("🚀 Starting PDF Document Layout Analysis with OCR\n");
 
-    // Show OCR status
-    if (OCR_CONFIG.enabled) {
-      console.log("🔤 OCR Status: ENABLED (using tesseract.js)");
-      console.log(`📖 Language: ${OCR_CONFIG.language}`);
-      console.log("✨ Text will be extracted from all detected regions\n");
+    if (batchMode) {
+      await runBatch(files, options);
     } else {
-      console.log("🔤 OCR Status: DISABLED");
-      console.log(
-        "⚠️  Install OCR dependencies: npm install tesseract.js jimp"
-      );
-      console.log(
-        "💡 Tesseract.js runs entirely in JavaScript - no system installation required!\n"
-      );
-    }
-
-    // Show which PDF is being processed
-    console.log(`📄 PDF to process: ${PDF_PATH}`);
-
-    // Setup
-    await setupDirectories();
-
-    // Initialize OCR worker
-    await initializeOCRWorker();
-
-    const { model, processor } = await loadModel();
-
-    // Convert PDF to images
-    const imagePaths = await convertPdfToImages(PDF_PATH);
-    console.log("");
-
-    // Process each page with OCR
-    console.log("🔄 Processing pages with layout detection and OCR...");
-    const results = [];
-    let totalOCRTime = 0;
-
-    for (let i = 0; i < imagePaths.length; i++) {
-      const ocrStartTime = performance.now();
-      const result = await processPage(model, processor, imagePaths[i], i + 1);
-      const ocrEndTime = performance.now();
-
-      const pageOCRTime = (ocrEndTime - ocrStartTime) / 1000;
-      totalOCRTime += pageOCRTime;
-
-      results.push(result);
-
-      // Show progress with OCR info
-      if (OCR_CONFIG.enabled) {
-        const textExtractions = result.detections.filter(
-          (d) =>
-            d.extractedText &&
-            !d.extractedText.includes("OCR not available") &&
-            !d.extractedText.includes("extraction failed")
-        ).length;
-        console.log(
-          `📝 Extracted text from ${textExtractions}/${result.detections.length} regions`
-        );
-      }
+      await runSingle(files[0], options);
     }
+  } catch (error) {
+    console.error("❌ Fatal error:", error.message);
+    process.exitCode =
+      error instanceof PipelineError
+        ? EXIT_CODES[error.stage]
+        : EXIT_CODES.failure;
+  } finally {
+    // Ensure OCR worker and temp workspaces are cleaned up so the process can exit
+    await cleanupOCRWorker();
+    await cleanupWorkspaces();
+  }
+}
 
-    // Calculate total time
-    const totalTime = ((performance.now() - totalStartTime) / 1000).toFixed(2);
+// Parse one PDF or image input into the output directory
+async function runSingle(pdfPath, options) {
+  // Show which input is being processed
+  console.log(`📄 Input to process: ${pdfPath}`);
 
-    // Print enhanced summary
-    console.log("\n" + "=".repeat(60));
-    console.log("📊 PROCESSING SUMMARY");
-    console.log("=".repeat(60));
-    console.log(`📄 Total Pages: ${results.length}`);
-    console.log(`⏱️  Total Time: ${totalTime}s`);
-    console.log(
-      `🔤 OCR Time: ${totalOCRTime.toFixed(2)}s (${(
-        (totalOCRTime / parseFloat(totalTime)) *
-        100
-      ).toFixed(1)}%)`
-    );
-    console.log(
-      `⚡ Average Time/Page: ${(parseFloat(totalTime) / results.length).toFixed(
-        2
-      )}s`
-    );
+  const analysis = await parseDocument(pdfPath, options);
 
-    const totalElements = results.reduce(
-      (sum, r) => sum + r.detections.length,
-      0
-    );
-    console.log(`🔍 Total Elements Found: ${totalElements}`);
-
-    if (OCR_CONFIG.enabled) {
-      const totalTextExtractions = results.reduce(
-        (sum, r) =>
-          sum +
-          r.detections.filter(
-            (d) =>
-              d.extractedText &&
-              !d.extractedText.includes("OCR not available") &&
-              !d.extractedText.includes("extraction failed")
-          ).length,
-        0
-      );
-      console.log(
-        `📝 Successful Text Extractions: ${totalTextExtractions}/${totalElements} (${(
-          (totalTextExtractions / totalElements) *
-          100
-        ).toFixed(1)}%)`
-      );
-    }
+  printOcrStatus(analysis.metadata.ocr);
+  printSummary(analysis, options);
+  printOutputFiles(pdfPath, options, analysis.metadata.ocr.enabled);
 
-    console.log(`📁 Annotated images saved to: ${ANNOTATED_DIR}`);
-
-    console.log("\n📋 PAGE-BY-PAGE BREAKDOWN:");
-    results.forEach((result) => {
-      const textCount = OCR_CONFIG.enabled
-        ? result.detections.filter(
-            (d) =>
-              d.extractedText &&
-              !d.extractedText.includes("OCR not available") &&
-              !d.extractedText.includes("extraction failed")
-          ).length
-        : 0;
-
-      console.log(
-        `  Page ${result.pageNumber}: ${result.processingTime}s (${
-          result.detections.length
-        } elements${OCR_CONFIG.enabled ? `, ${textCount} with text` : ""})`
-      );
-    });
+  const { failedRegions } = analysis.metadata.ocr;
+  if (failedRegions > 0) {
+    console.error(`❌ OCR failed on ${failedRegions} regions`);
+    process.exitCode = EXIT_CODES.ocr;
+  }
+}
 
-    console.log("\n✅ Processing complete!");
+// Parse many inputs, one output folder per document
+async function runBatch(pdfPaths, options) {
+  console.log(`📚 Batch of ${pdfPaths.length} documents`);
 
-    // Save bounding boxes to JSON for further OCR processing
-    const jsonPath = await saveBoundingBoxesToJson(
-      results,
-      parseFloat(totalTime)
-    );
+  const manifest = await parseBatch(pdfPaths, options);
 
-    console.log("\n" + "=".repeat(60));
-    console.log("📊 OUTPUT FILES");
-    console.log("=".repeat(60));
-    console.log(`🖼️  Annotated Images: ${ANNOTATED_DIR}/`);
-    console.log(`📄 Hierarchical JSON: ${jsonPath}`);
+  console.log("\n" + "=".repeat(60));
+  console.log("📊 BATCH SUMMARY");
+  console.log("=".repeat(60));
+  console.log(`📄 Documents: ${manifest.totalDocuments}`);
+  console.log(`✅ Succeeded: ${manifest.succeeded}`);
+  console.log(`❌ Failed: ${manifest.failed}`);
+  console.log(`⏱️  Total Time: ${manifest.totalTime}s`);
+  manifest.documents.forEach((doc) => {
     console.log(
-      `📊 CSV Summary: ${path.join(OUTPUT_DIR, "detections_summary.csv")}`
+      `  ${doc.status === "success" ? "✅" : "❌"} ${doc.input} (${
+        doc.processingTime
+      }s) -> ${doc.outputDir}${doc.error ? ` - ${doc.error.message}` : ""}`
     );
-    console.log("\n🎯 Next Steps:");
-    if (OCR_CONFIG.enabled) {
-      console.log("  • ✅ Text extraction completed automatically");
-      console.log(
-        "  • 📋 Use the hierarchical JSON with extracted text content"
-      );
-      console.log("  • 🔍 Review and validate extracted text accuracy");
-      console.log("  • 📝 Use structured content for further processing");
-    } else {
-      console.log(
-        "  • 📦 Install OCR dependencies: npm install tesseract.js jimp"
-      );
-      console.log("  • 🔄 Re-run for full OCR functionality");
-    }
-    console.log("  • 🏗️  Document structure is ready for analysis");
-    console.log("  • 📊 Export to other formats as needed");
-
-    console.log("\n💡 JSON Structure:");
-    console.log("  • documentStructure: Hierarchical tree with extracted text");
-    console.log("  • allDetections: Flat list with OCR results");
-    console.log("  • pages: Page-by-page organization");
-    console.log("  • ocrProcessingSuggestions: Priority-based targets");
+  });
 
-    // Cleanup OCR worker and temp files
-    await cleanupOCRWorker();
-    await fs.rm(TEMP_DIR, { recursive: true, force: true });
-  } catch (error) {
-    console.error("❌ Fatal error:", error.message);
-    // Ensure OCR worker is cleaned up even on error
-    await cleanupOCRWorker();
-    process.exit(1);
+  if (manifest.failed > 0) {
+    process.exitCode = EXIT_CODES.batch;
+  } else if (manifest.documents.some((doc) => doc.ocrFailures > 0)) {
+    console.error("❌ OCR failed on some regions, see ocrFailures");
+    process.exitCode = EXIT_CODES.ocr;
   }
 }
 
@@ -0,0 +1,129 @@
+// ocr_layout.js
+import { readingBox } from "./text_direction.js";
+
+// A gap between two lines larger than this many line heights starts a new
+// paragraph (text layer words carry no paragraph information)
+const PARAGRAPH_GAP = 0.8;
+
+// Tesseract reports confidences as 0-100; the output uses 0-1 like the
+// detection scores
+export function toUnitConfidence(confidence) {
+  return typeof confidence === "number"
+    ? parseFloat((confidence / 100).toFixed(3))
+    : null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+}
+
+// Group words ({ bbox: [x0, y0, x1, y1] } in pixels) into text lines by
+// vertical overlap. Lines are top to bottom with { top, bottom, words }, and
+// words within a line stay in their input order. For `direction` "ttb" the
+// lines are vertical, and top/bottom are measured in readingBox() space.
+export function groupWordsIntoLines(words, direction = "ltr") {
+  const box = (word) => readingBox(word.bbox, direction);
+  const lines = [];
+  for (const word of [...words].sort((a, b) => box(a)[1] - box(b)[1])) {
+    const [, top, , bottom] = box(word);
+    const centre = (top + bottom) / 2;
+    const line = lines.find((l) => centre >= l.top && centre <= l.bottom);
+    if (line) {
+      line.words.push(word);
+      line.top = Math.min(line.top, top);
+      line.bottom = Math.max(line.bottom, bottom);
+    } else {
+      lines.push({ top, bottom, words: [word] });
+    }
+  }
+  return lines.sort((a, b) => a.top - b.top);
+}
+
+function lineBox(words) {
+  return [
+    Math.min(...words.map((w) => w.bbox[0])),
+    Math.min(...words.map((w) => w.bbox[1])),
+    Math.max(...words.map((w) => w.bbox[2])),
+    Math.max(...words.map((w) => w.bbox[3])),
+  ];
+}
+
+// Flatten tesseract.js output (recognize(..., { blocks: true })) for a crop
+// into lines with their words. `toPage` maps an [x0, y0, x1, y1] box of the
+// OCR'd image to page pixels. Each line keeps the index of its paragraph.
+export function linesFromBlocks(blocks, toPage) {
+  const box = ({ x0, y0, x1, y1 }) => toPage([x0, y0, x1, y1]);
+
+  const lines = [];
+  let paragraphIndex = 0;
+  for (const block of blocks || []) {
+    for (const paragraph of block.paragraphs) {
+      for (const line of paragraph.lines) {
+        const words = line.words
+          .filter((word) => word.text.trim())
+          .map((word) => ({
+            text: word.text.trim(),
+            bbox: box(word.bbox),
+            confidence: toUnitConfidence(word.confidence),
+          }));
+        if (words.length === 0) continue;
+
+        lines.push({
+          text: words.map((w) => w.text).join(" "),
+          bbox: box(line.bbox),
+          confidence: toUnitConfidence(line.confidence),
+          paragraph: paragraphIndex,
+          words,
+        });
+      }
+      paragraphIndex++;
+    }
+  }
+  return lines;
+}
+
+// Build lines from text layer words (page pixels, no confidence). Paragraphs
+// are split at gaps larger than the usual line spacing. Words are ordered
+// along `direction`: right to left for "rtl", top to bottom in vertical
+// lines read right to left for "ttb".
+export function linesFromWords(words, direction = "ltr") {
+  const grouped = groupWordsIntoLines(words, direction);
+  const lineHeight = median(grouped.map((l) => l.bottom - l.top));
+
+  let paragraphIndex = 0;
+  return grouped.map((line, index) => {
+    if (
+      index > 0 &&
+      line.top - grouped[index - 1].bottom > lineHeight * PARAGRAPH_GAP
+    ) {
+      paragraphIndex++;
+    }
+    const lineWords = [...line.words]
+      .sort(
+        (a, b) =>
+          readingBox(a.bbox, direction)[0] - readingBox(b.bbox, direction)[0]
+      )
+      .map((word) => ({ text: word.text, bbox: word.bbox, confidence: null }));
+    return {
+      text: lineWords.map((w) => w.text).join(" "),
+      bbox: lineBox(lineWords),
+      confidence: null,
+      paragraph: paragraphIndex,
+      words: lineWords,
+    };
+  });
+}
+
+// Text of a region with its layout kept: one line per text line, a blank
+// line between paragraphs. Hyphens at line ends stay as printed.
+export function linesToText(lines) {
+  return lines
+    .map((line, index) => {
+      if (index === 0) return line.text;
+      const separator =
+        line.paragraph !== lines[index - 1].paragraph ? "\n\n" : "\n";
+      return separator + line.text;
+    })
+    .join("");
+}
@@ -0,0 +1,68 @@
+// outline_utils.js
+
+// Heading labels that belong in the title/outline export
+const OUTLINE_LABELS = new Set(["Title", "Section-header"]);
+const MAX_OUTLINE_DEPTH = 3;
+
+// Placeholder strings written by the OCR stage when no text could be read
+export function isPlaceholderText(text) {
+  return !text || /^\[.*\]$/.test(text.trim());
+}
+
+// Collect heading nodes from documentStructure in document order
+function collectHeadings(nodes, acc = []) {
+  for (const node of nodes) {
+    if (!node.children) continue; // content node
+    acc.push(node);
+    collectHeadings(node.children, acc);
+  }
+  return acc;
+}
+
+// Pick the document title from Title detections on the earliest page that has any
+export function pickDocumentTitle(documentStructure) {
+  const titles = collectHeadings(documentStructure).filter(
+    (node) => node.label === "Title" && !isPlaceholderText(node.title)
+  );
+  if (titles.length === 0) return { title: "", ids: new Set() };
+
+  const firstPage = Math.min(...titles.map((node) => node.page));
+  const used = titles.filter((node) => node.page === firstPage);
+
+  return {
+    title: used.map((node) => node.title.trim()).join(" "),
+    ids: new Set(used.map((node) => node.id)),
+  };
+}
+
+// Build the { title, outline } structure from the hierarchical documentStructure.
+// Levels follow heading nesting (H1..H3) and pages are 0-based like result.json.
+export function buildOutline(documentStructure) {
+  const { title, ids: titleIds } = pickDocumentTitle(documentStructure);
+  const outline = [];
+
+  const walk = (nodes, depth) => {
+    for (const node of nodes) {
+      if (!node.children) continue;
+
+      const included =
+        OUTLINE_LABELS.has(node.label) &&
+        !titleIds.has(node.id) &&
+        !isPlaceholderText(node.title);
+
+      if (included) {
+        outline.push({
+          level: `H${Math.min(depth, MAX_OUTLINE_DEPTH)}`,
+          text: node.title.trim(),
+          page: node.page - 1,
+        });
+      }
+
+      walk(node.children, included ? depth + 1 : depth);
+    }
+  };
+
+  walk(documentStructure, 1);
+
+  return { title, outline };
+}
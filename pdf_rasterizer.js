@@ -0,0 +1,304 @@
+// pdf_rasterizer.js
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import { createRequire } from "module";
+import path from "path";
+import { promisify } from "util";
+import { imageDensity } from "./image_input.js";
+
+const execFileAsync = promisify(execFile);
+
+export const DEFAULT_DPI = 150;
+
+// pdf-poppler bundles binaries for macOS and Windows only, and calls
+// process.exit() when imported anywhere else, so it is never loaded on Linux
+const PDF_POPPLER_PLATFORMS = ["darwin", "win32"];
+
+let pdfLib, pdfPoppler, pdf2pic, pdfjs;
+let backendsLoaded = false;
+
+async function loadBackends() {
+  if (backendsLoaded) return;
+  backendsLoaded = true;
+
+  try {
+    pdfLib = await import("pdf-lib");
+  } catch (e) {
+    console.warn("⚠️  pdf-lib not available");
+  }
+
+  try {
+    pdf2pic = await import("pdf2pic");
+  } catch (e) {
+    console.warn("⚠️  pdf2pic not available");
+  }
+
+  // pdf.js renders through node-canvas; both come from npm, no system binaries
+  try {
+    await import("canvas");
+    pdfjs = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  } catch (e) {
+    console.warn("⚠️  pdfjs-dist/canvas not available");
+  }
+
+  if (PDF_POPPLER_PLATFORMS.includes(process.platform)) {
+    try {
+      const pdfPopplerModule = await import("pdf-poppler");
+      pdfPoppler = pdfPopplerModule.default;
+    } catch (e) {
+      console.warn("⚠️  pdf-poppler not available");
+    }
+  }
+}
+
+// Page number encoded in a generated file name such as "page-07.png"
+export function parsePageNumber(fileName) {
+  const match = path.basename(fileName).match(/-(\d+)\.\w+$/);
+  return match ? parseInt(match[1]) : null;
+}
+
+// Page count and page sizes (PDF points) via pdf-lib, falling back to pdfinfo
+export async function getPdfInfo(pdfPath) {
+  await loadBackends();
+
+  if (pdfLib) {
+    try {
+      const document = await pdfLib.PDFDocument.load(
+        await fs.readFile(pdfPath),
+        {
+          ignoreEncryption: true,
+          updateMetadata: false,
+        }
+      );
+      return {
+        pageCount: document.getPageCount(),
+        pageSizes: document.getPages().map((page) => page.getSize()),
+      };
+    } catch (error) {
+      console.warn("⚠️  pdf-lib could not read the PDF:", error.message);
+    }
+  }
+
+  const { stdout } = await execFileAsync("pdfinfo", [pdfPath]);
+  const pages = stdout.match(/^Pages:\s+(\d+)/m);
+  if (!pages) throw new Error("Could not determine the PDF page count");
+  const size = stdout.match(/^Page size:\s+([\d.]+) x ([\d.]+)/m);
+  const pageSize = size
+    ? { width: parseFloat(size[1]), height: parseFloat(size[2]) }
+    : null;
+  return {
+    pageCount: parseInt(pages[1]),
+    pageSizes: Array.from({ length: parseInt(pages[1]) }, () => pageSize),
+  };
+}
+
+// Method 1: poppler's pdftoppm from the system PATH (poppler-utils)
+async function renderWithPdftoppm(pdfPath, pageNumber, { dpi, outDir }) {
+  const prefix = path.join(outDir, `page-${pageNumber}`);
+  await execFileAsync("pdftoppm", [
+    "-png",
+    "-r",
+    String(dpi),
+    "-f",
+    String(pageNumber),
+    "-l",
+    String(pageNumber),
+    "-singlefile",
+    pdfPath,
+    prefix,
+  ]);
+  return `${prefix}.png`;
+}
+
+// Method 2: pdf-poppler's bundled pdftocairo (macOS / Windows)
+async function renderWithPdfPoppler(
+  pdfPath,
+  pageNumber,
+  { dpi, outDir, pageSize }
+) {
+  if (!pdfPoppler) throw new Error("pdf-poppler not available");
+
+  // pdf-poppler only supports a target size, so convert DPI to the long side
+  const longSide = pageSize ? Math.max(pageSize.width, pageSize.height) : 792;
+  const prefix = `page-${pageNumber}`;
+  await pdfPoppler.convert(pdfPath, {
+    format: "png",
+    out_dir: outDir,
+    out_prefix: prefix,
+    page: pageNumber,
+    scale: Math.round((longSide / 72) * dpi),
+  });
+
+  // pdftocairo appends a zero-padded page number: page-7-07.png
+  const files = await fs.readdir(outDir);
+  const file = files.find(
+    (f) =>
+      f.startsWith(`${prefix}-`) &&
+      f.endsWith(".png") &&
+      parsePageNumber(f) === pageNumber
+  );
+  if (!file) {
+    throw new Error(`pdf-poppler produced no image for page ${pageNumber}`);
+  }
+  return path.join(outDir, file);
+}
+
+// Target pixel size of a page at the given DPI
+function getPixelSize(pageSize, dpi) {
+  const { width, height } = pageSize || { width: 612, height: 792 };
+  return {
+    width: Math.round((width / 72) * dpi),
+    height: Math.round((height / 72) * dpi),
+  };
+}
+
+// Method 3: pdf2pic (GraphicsMagick/ImageMagick + Ghostscript)
+async function renderWithPdf2pic(
+  pdfPath,
+  pageNumber,
+  { dpi, outDir, pageSize }
+) {
+  if (!pdf2pic) throw new Error("pdf2pic not available");
+
+  const { width, height } = getPixelSize(pageSize, dpi);
+  const convert = pdf2pic.fromPath(pdfPath, {
+    density: dpi,
+    format: "png",
+    width,
+    height,
+    preserveAspectRatio: true,
+    savePath: outDir,
+    saveFilename: `page-${pageNumber}`,
+  });
+  const result = await convert(pageNumber, { responseType: "image" });
+  return result.path;
+}
+
+// Method 4: pure-JS rendering with pdf.js onto a node-canvas
+async function renderWithPdfjs(pdfPath, pageNumber, { dpi, outDir }) {
+  if (!pdfjs) throw new Error("pdfjs-dist not available");
+
+  const require = createRequire(import.meta.url);
+  const standardFontDataUrl = path.join(
+    path.dirname(require.resolve("pdfjs-dist/package.json")),
+    "standard_fonts/"
+  );
+
+  const document = await pdfjs.getDocument({
+    data: new Uint8Array(await fs.readFile(pdfPath)),
+    standardFontDataUrl,
+    isEvalSupported: false,
+  }).promise;
+
+  try {
+    const page = await document.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: dpi / 72 });
+    const { canvas, context } = document.canvasFactory.create(
+      Math.ceil(viewport.width),
+      Math.ceil(viewport.height)
+    );
+
+    // White background, PDF pages are transparent by default
+    context.fillStyle = "#FFFFFF";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+
+    const imagePath = path.join(outDir, `page-${pageNumber}.png`);
+    await fs.writeFile(imagePath, canvas.toBuffer("image/png"));
+    return imagePath;
+  } finally {
+    await document.destroy();
+  }
+}
+
+// Method 5: pdf-lib can't render, but scanned pages are usually a single
+// embedded JPEG that can be written out as-is (DPI is the scan's own)
+async function extractWithPdfLib(pdfPath, pageNumber, { outDir }) {
+  if (!pdfLib) throw new Error("pdf-lib not available");
+
+  const { PDFDocument, PDFDict, PDFName, PDFRawStream } = pdfLib;
+  const document = await PDFDocument.load(await fs.readFile(pdfPath), {
+    ignoreEncryption: true,
+    updateMetadata: false,
+  });
+  const page = document.getPage(pageNumber - 1);
+  const xObjects = page.node
+    .Resources()
+    ?.lookupMaybe(PDFName.of("XObject"), PDFDict);
+
+  const images = (xObjects ? xObjects.entries() : [])
+    .map(([, ref]) => document.context.lookup(ref))
+    .filter(
+      (object) =>
+        object instanceof PDFRawStream &&
+        object.dict.get(PDFName.of("Subtype")) === PDFName.of("Image") &&
+        String(object.dict.lookup(PDFName.of("Filter"))).includes("DCTDecode")
+    );
+  if (images.length === 0) {
+    throw new Error(`page ${pageNumber} has no embedded JPEG to extract`);
+  }
+
+  // The largest image is taken to be the page scan
+  const pixels = (image) =>
+    image.dict.lookup(PDFName.of("Width")).asNumber() *
+    image.dict.lookup(PDFName.of("Height")).asNumber();
+  const scan = images.reduce((best, image) =>
+    pixels(image) > pixels(best) ? image : best
+  );
+
+  const imagePath = path.join(outDir, `page-${pageNumber}.jpg`);
+  await fs.writeFile(imagePath, scan.contents);
+  return imagePath;
+}
+
+// Rasterization backends in order of preference
+const RENDER_METHODS = [
+  { name: "pdftoppm", render: renderWithPdftoppm },
+  { name: "pdf-poppler", render: renderWithPdfPoppler },
+  { name: "pdf2pic", render: renderWithPdf2pic },
+  { name: "pdfjs", render: renderWithPdfjs },
+  { name: "pdf-lib", render: extractWithPdfLib, scanDpi: true },
+];
+
+let preferredMethod = null;
+
+// Rasterize a single page, trying each backend in turn.
+// Returns { pageNumber, imagePath, backend, dpi }: `dpi` is the render DPI,
+// or for an extracted scan the resolution it records (null when none).
+export async function rasterizePage(pdfPath, pageNumber, options = {}) {
+  await loadBackends();
+  const renderOptions = {
+    dpi: options.dpi || DEFAULT_DPI,
+    outDir: options.outDir,
+    pageSize: options.pageSize || null,
+  };
+
+  // Start with the backend that worked last time to skip known failures
+  const methods = preferredMethod
+    ? [preferredMethod, ...RENDER_METHODS.filter((m) => m !== preferredMethod)]
+    : RENDER_METHODS;
+
+  const errors = [];
+  for (const method of methods) {
+    try {
+      const imagePath = await method.render(pdfPath, pageNumber, renderOptions);
+      await fs.access(imagePath);
+      if (method !== preferredMethod) {
+        console.log(`🔧 Rasterizing with ${method.name}`);
+      }
+      preferredMethod = method;
+      const dpi = method.scanDpi
+        ? await imageDensity(imagePath)
+        : renderOptions.dpi;
+      return { pageNumber, imagePath, backend: method.name, dpi };
+    } catch (error) {
+      errors.push(`${method.name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(
+    `All PDF conversion methods failed for page ${pageNumber}. ${errors.join(
+      "; "
+    )}`
+  );
+}
@@ -0,0 +1,174 @@
+// reading_order.js
+import { CAPTIONED_LABELS, findCaptionTarget } from "./figures.js";
+import { readingBox } from "./text_direction.js";
+
+// Running page furniture is read before (headers) or after (footers) the body
+const HEADER_LABELS = new Set(["Page-header"]);
+const FOOTER_LABELS = new Set(["Page-footer"]);
+
+// Captions are kept next to the figure or table they describe
+const CAPTION_LABEL = "Caption";
+
+// All distances are fractions of the page size, so the same values work for
+// any page size and DPI
+const MIN_COLUMN_GAP = 0.01; // narrowest gutter that separates two columns
+const MIN_ROW_GAP = 0.002; // narrowest whitespace band that separates rows
+const OVERLAP_TOLERANCE = 0.003; // detector boxes often overlap by a few pixels
+const SAME_LINE_TOLERANCE = 0.01; // top edges this close count as one line
+
+// Bounding box in page fractions: [x0, y0, x1, y1]
+function normalizeBox(bbox, pageWidth, pageHeight) {
+  return [
+    bbox[0] / pageWidth,
+    bbox[1] / pageHeight,
+    bbox[2] / pageWidth,
+    bbox[3] / pageHeight,
+  ];
+}
+
+function unionBox(a, b) {
+  return [
+    Math.min(a[0], b[0]),
+    Math.min(a[1], b[1]),
+    Math.max(a[2], b[2]),
+    Math.max(a[3], b[3]),
+  ];
+}
+
+// Top-to-bottom, then left-to-right for boxes on the same line
+function compareByPosition(a, b) {
+  const dy = a.box[1] - b.box[1];
+  if (Math.abs(dy) > SAME_LINE_TOLERANCE) return dy;
+  return a.box[0] - b.box[0];
+}
+
+// Split units into groups separated by whitespace along one axis
+// (0 = x, columns; 1 = y, rows), in left-to-right / top-to-bottom order
+function splitByGaps(units, axis, minGap) {
+  const sorted = [...units].sort((a, b) => a.box[axis] - b.box[axis]);
+  const groups = [];
+  let current = [];
+  let currentEnd = -Infinity;
+
+  for (const unit of sorted) {
+    const start = unit.box[axis] + OVERLAP_TOLERANCE;
+    if (current.length > 0 && start - currentEnd >= minGap) {
+      groups.push(current);
+      current = [];
+    }
+    current.push(unit);
+    currentEnd = Math.max(currentEnd, unit.box[axis + 2] - OVERLAP_TOLERANCE);
+  }
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+function hasColumns(units) {
+  return splitByGaps(units, 0, MIN_COLUMN_GAP).length > 1;
+}
+
+// Whitespace between paragraphs of different columns can line up by chance
+// and open a horizontal cut through a multi-column region. Adjacent row bands
+// are rejoined while their union still has a gutter, so only elements that
+// really span the columns (titles, wide figures) end a column region.
+function mergeColumnBands(bands) {
+  const merged = [bands[0]];
+  for (const band of bands.slice(1)) {
+    const previous = merged[merged.length - 1];
+    const union = [...previous, ...band];
+    if (hasColumns(union)) {
+      merged[merged.length - 1] = union;
+    } else {
+      merged.push(band);
+    }
+  }
+  return merged;
+}
+
+// Recursive XY-cut: split into row bands at horizontal whitespace, and
+// bands into columns at vertical whitespace, until no cut is left
+function xyCut(units) {
+  if (units.length <= 1) return units;
+
+  const bands = mergeColumnBands(splitByGaps(units, 1, MIN_ROW_GAP));
+  if (bands.length > 1) return bands.flatMap(xyCut);
+
+  const columns = splitByGaps(units, 0, MIN_COLUMN_GAP);
+  if (columns.length > 1) return columns.flatMap(xyCut);
+
+  return [...units].sort(compareByPosition);
+}
+
+// Group each caption with the figure or table it describes (the match
+// linkCaptions() makes), so the pair moves through the XY-cut as one unit
+function attachCaptions(items, pageWidth, pageHeight) {
+  const anchors = items.filter((item) => CAPTIONED_LABELS.has(item.label));
+  const anchorOf = new Map(anchors.map((item) => [item.detection, item]));
+  const units = new Map(
+    items
+      .filter((item) => item.label !== CAPTION_LABEL)
+      .map((item) => [item, { box: item.box, members: [item] }])
+  );
+
+  for (const caption of items.filter((i) => i.label === CAPTION_LABEL)) {
+    const target = findCaptionTarget(
+      caption.detection,
+      [...anchorOf.keys()],
+      pageWidth,
+      pageHeight
+    );
+    if (!target) {
+      units.set(caption, { box: caption.box, members: [caption] });
+      continue;
+    }
+
+    const unit = units.get(anchorOf.get(target));
+    unit.box = unionBox(unit.box, caption.box);
+    unit.members.push(caption);
+  }
+
+  // Inside a unit, members follow their vertical position
+  return [...units.values()].map((unit) => ({
+    ...unit,
+    members: unit.members.sort(compareByPosition),
+  }));
+}
+
+// Order a page's detections for reading: page headers first, then the body
+// by recursive XY-cut (columns left to right, full-width elements splitting
+// column regions, captions next to their figure), then page footers.
+// Detections need a pixel `bbox` and `label`; returns a new, ordered array.
+// For `direction` "rtl" the page is mirrored, so columns are read right to
+// left; for "ttb" (vertical text) it is turned so that vertical lines are
+// read right to left and column tiers top to bottom.
+export function resolveReadingOrder(
+  detections,
+  pageWidth,
+  pageHeight,
+  direction = "ltr"
+) {
+  const items = detections.map((detection) => {
+    const pageBox = normalizeBox(detection.bbox, pageWidth, pageHeight);
+    return {
+      detection,
+      label: detection.label,
+      pageBox,
+      box: readingBox(pageBox, direction),
+    };
+  });
+
+  const headers = items.filter((item) => HEADER_LABELS.has(item.label));
+  const footers = items.filter((item) => FOOTER_LABELS.has(item.label));
+  const body = items.filter(
+    (item) => !HEADER_LABELS.has(item.label) && !FOOTER_LABELS.has(item.label)
+  );
+
+  const ordered = [
+    ...headers.sort(compareByPosition),
+    ...xyCut(attachCaptions(body, pageWidth, pageHeight)).flatMap(
+      (unit) => unit.members
+    ),
+    ...footers.sort(compareByPosition),
+  ];
+  return ordered.map((item) => item.detection);
+}
@@ -0,0 +1,258 @@
+// searchable_pdf.js
+import fs from "fs/promises";
+import {
+  PDFDocument,
+  PDFHexString,
+  StandardFonts,
+  TextRenderingMode,
+  beginText,
+  endText,
+  setCharacterSqueeze,
+  setFontAndSize,
+  setTextMatrix,
+  setTextRenderingMode,
+  showText,
+} from "pdf-lib";
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47];
+const JPEG_SIGNATURE = [0xff, 0xd8];
+
+// Detections whose words were read by OCR. Text layer words are already in
+// the PDF; formula regions keep their OCR lines next to the LaTeX.
+function hasOcrText(detection) {
+  return (
+    detection.textSource === "ocr" ||
+    (detection.textSource === "formula-model" &&
+      detection.formula?.rawTextSource === "ocr")
+  );
+}
+
+// Map page image pixels to PDF user space: undo the page deskew, scale the
+// image onto the crop box and follow the page's /Rotate (clockwise)
+function pixelMapper(pageResult, box, rotation) {
+  const { imageWidth: width, imageHeight: height } = pageResult;
+  const angle = ((pageResult.skewAngle || 0) * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return ([x, y]) => {
+    const dx = x - width / 2;
+    const dy = y - height / 2;
+    const u = (width / 2 + dx * cos - dy * sin) / width;
+    const v = (height / 2 + dx * sin + dy * cos) / height;
+    switch (rotation) {
+      case 90:
+        return [box.x + v * box.width, box.y + u * box.height];
+      case 180:
+        return [box.x + (1 - u) * box.width, box.y + v * box.height];
+      case 270:
+        return [box.x + (1 - v) * box.width, box.y + (1 - u) * box.height];
+      default:
+        return [box.x + u * box.width, box.y + (1 - v) * box.height];
+    }
+  };
+}
+
+// Baseline start, baseline end and top of a word box in PDF points. Words
+// in vertical lines run down the page with their tops to the right.
+function wordFrame(bbox, vertical, toPoint) {
+  const [x0, y0, x1, y1] = bbox;
+  const corners = vertical
+    ? [
+        [x0, y0],
+        [x0, y1],
+        [x1, y0],
+      ]
+    : [
+        [x0, y1],
+        [x1, y1],
+        [x0, y0],
+      ];
+  const [origin, end, top] = corners.map(toPoint);
+  const width = Math.hypot(end[0] - origin[0], end[1] - origin[1]);
+  const height = Math.hypot(top[0] - origin[0], top[1] - origin[1]);
+  return { origin, end, top, width, height };
+}
+
+// Text-showing operators for one invisible word, stretched to fill its box
+function wordOperators(text, frame, font, fontKey) {
+  const { origin, end, top, width, height } = frame;
+  const naturalWidth = font.widthOfTextAtSize(text, height);
+  if (width === 0 || height === 0 || naturalWidth === 0) return [];
+
+  return [
+    setFontAndSize(fontKey, height),
+    setCharacterSqueeze((100 * width) / naturalWidth),
+    setTextMatrix(
+      (end[0] - origin[0]) / width,
+      (end[1] - origin[1]) / width,
+      (top[0] - origin[0]) / height,
+      (top[1] - origin[1]) / height,
+      origin[0],
+      origin[1]
+    ),
+    showText(font.encodeText(text)),
+  ];
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.replace("#", ""), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(
+    (channel) => channel / 255
+  );
+}
+
+// Square annotation outlining a detection, labelled like the annotated
+// page images
+function addLayoutBox(pdfDoc, page, detection, toPoint, color) {
+  const [x0, y0, x1, y1] = detection.bbox;
+  const points = [
+    [x0, y0],
+    [x1, y0],
+    [x1, y1],
+    [x0, y1],
+  ].map(toPoint);
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+
+  const annotation = pdfDoc.context.obj({
+    Type: "Annot",
+    Subtype: "Square",
+    Rect: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)],
+    C: hexToRgb(color),
+    Border: [0, 0, 1],
+    T: PDFHexString.fromText(detection.id),
+    Contents: PDFHexString.fromText(
+      `${detection.label} (${(detection.confidence * 100).toFixed(1)}%)`
+    ),
+  });
+  page.node.addAnnot(pdfDoc.context.register(annotation));
+}
+
+// Embed the text layer font: a TTF/OTF file through the optional
+// @pdf-lib/fontkit package, otherwise Helvetica (Latin text only)
+async function embedTextFont(pdfDoc, fontPath) {
+  if (fontPath) {
+    try {
+      const fontkit = (await import("@pdf-lib/fontkit")).default;
+      pdfDoc.registerFontkit(fontkit);
+      return await pdfDoc.embedFont(await fs.readFile(fontPath), {
+        subset: true,
+      });
+    } catch (error) {
+      console.warn(
+        `⚠️  Could not embed ${fontPath}, using Helvetica:`,
+        error.message
+      );
+    }
+  }
+  return pdfDoc.embedFont(StandardFonts.Helvetica);
+}
+
+// Add a page showing a PNG or JPEG page image at `dpi`
+async function addImagePage(pdfDoc, imagePath, dpi) {
+  const bytes = await fs.readFile(imagePath);
+  const startsWith = (signature) =>
+    signature.every((byte, index) => bytes[index] === byte);
+
+  let image;
+  if (startsWith(PNG_SIGNATURE)) {
+    image = await pdfDoc.embedPng(bytes);
+  } else if (startsWith(JPEG_SIGNATURE)) {
+    image = await pdfDoc.embedJpg(bytes);
+  } else {
+    throw new Error(`Unsupported page image format: ${imagePath}`);
+  }
+
+  const width = (image.width * 72) / dpi;
+  const height = (image.height * 72) / dpi;
+  const page = pdfDoc.addPage([width, height]);
+  page.drawImage(image, { x: 0, y: 0, width, height });
+  return page;
+}
+
+// Add the OCR words of the parsed `pages` (layout JSON `pages`) as invisible
+// text at their positions, so the document can be searched and copied from.
+// PDF inputs are given as `pdfBytes` and keep all their pages; image inputs
+// pass `pageImage(pageNumber)` returning { imagePath, dpi } for the page, and
+// become one PDF page per parsed page at the image's `dpi` (the `dpi` option
+// when it has none). `layoutBoxes` also outlines every
+// detection as an annotation, colored by `colors[label]`.
+// Returns { bytes, words, skippedWords }; words whose characters the font
+// can't encode at all are skipped (pass a Unicode `fontPath` for other scripts).
+export async function buildSearchablePdf(
+  pages,
+  {
+    pdfBytes = null,
+    pageImage = null,
+    dpi = 72,
+    fontPath = null,
+    layoutBoxes = false,
+    colors = {},
+  } = {}
+) {
+  const pdfDoc = pdfBytes
+    ? await PDFDocument.load(pdfBytes, { ignoreEncryption: true })
+    : await PDFDocument.create();
+  const font = await embedTextFont(pdfDoc, fontPath);
+  const characters = new Set(font.getCharacterSet());
+  let words = 0;
+  let skippedWords = 0;
+
+  for (const pageResult of pages) {
+    let page;
+    if (pdfBytes) {
+      page = pdfDoc.getPage(pageResult.pageNumber - 1);
+    } else {
+      const image = await pageImage(pageResult.pageNumber);
+      page = await addImagePage(pdfDoc, image.imagePath, image.dpi || dpi);
+    }
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const toPoint = pixelMapper(pageResult, page.getCropBox(), rotation);
+    const vertical = pageResult.textDirection === "ttb";
+    const fontKey = page.node.newFontDictionary(font.name, font.ref);
+
+    const operators = [];
+    for (const detection of pageResult.detections) {
+      if (layoutBoxes) {
+        addLayoutBox(
+          pdfDoc,
+          page,
+          detection,
+          toPoint,
+          colors[detection.label] || "#808080"
+        );
+      }
+      if (!hasOcrText(detection)) continue;
+
+      for (const word of (detection.lines || []).flatMap((l) => l.words)) {
+        const text = [...word.text]
+          .filter((char) => characters.has(char.codePointAt(0)))
+          .join("");
+        if (!text.trim()) {
+          skippedWords++;
+          continue;
+        }
+        const wordOps = wordOperators(
+          text,
+          wordFrame(word.bbox, vertical, toPoint),
+          font,
+          fontKey
+        );
+        if (wordOps.length > 0) words++;
+        operators.push(...wordOps);
+      }
+    }
+
+    if (operators.length > 0) {
+      page.pushOperators(
+        beginText(),
+        setTextRenderingMode(TextRenderingMode.Invisible),
+        ...operators,
+        endText()
+      );
+    }
+  }
+
+  return { bytes: await pdfDoc.save(), words, skippedWords };
+}
@@ -0,0 +1,336 @@
+// table_structure.js
+import { groupWordsIntoLines } from "./ocr_layout.js";
+
+const DARK_LUMINANCE = 160; // ruling lines are often grey, so be generous
+const MIN_RULING_LENGTH = 0.6; // fraction of the table width/height
+const RULING_MERGE_DISTANCE = 4; // px: parallel ink lines this close are one ruling
+const SEGMENT_COVERAGE = 0.7; // ink along a boundary inside one cell edge
+const MIN_COLUMN_GUTTER = 0.015; // table-width fraction of empty space between columns
+const SPAN_TOLERANCE = 3; // px a word may cross a boundary without spanning it
+
+function luminanceAt(image, x, y) {
+  const i = (y * image.width + x) * image.channels;
+  return image.channels >= 3
+    ? (image.data[i] * 299 +
+        image.data[i + 1] * 587 +
+        image.data[i + 2] * 114) /
+        1000
+    : image.data[i];
+}
+
+function isInk(image, x, y) {
+  return luminanceAt(image, x, y) < DARK_LUMINANCE;
+}
+
+// Longest run of ink along one row (axis "x") or column (axis "y")
+function longestRun(image, axis, fixed, from, to) {
+  let best = 0;
+  let run = 0;
+  for (let v = from; v < to; v++) {
+    const ink = axis === "x" ? isInk(image, v, fixed) : isInk(image, fixed, v);
+    run = ink ? run + 1 : 0;
+    best = Math.max(best, run);
+  }
+  return best;
+}
+
+// Collapse neighbouring line positions (thick rulings) into their centres
+function mergePositions(positions) {
+  const merged = [];
+  let group = [];
+  for (const position of positions) {
+    if (
+      group.length &&
+      position - group[group.length - 1] > RULING_MERGE_DISTANCE
+    ) {
+      merged.push(Math.round((group[0] + group[group.length - 1]) / 2));
+      group = [];
+    }
+    group.push(position);
+  }
+  if (group.length) {
+    merged.push(Math.round((group[0] + group[group.length - 1]) / 2));
+  }
+  return merged;
+}
+
+// Find horizontal and vertical ruling lines inside the table box
+// (page pixel coordinates)
+export function detectRulings(image, bbox) {
+  const [x0, y0, x1, y1] = bbox.map(Math.round);
+  const width = x1 - x0;
+  const height = y1 - y0;
+
+  const horizontal = [];
+  for (let y = Math.max(0, y0); y < Math.min(image.height, y1); y++) {
+    if (
+      longestRun(image, "x", y, Math.max(0, x0), Math.min(image.width, x1)) >=
+      width * MIN_RULING_LENGTH
+    ) {
+      horizontal.push(y);
+    }
+  }
+
+  const vertical = [];
+  for (let x = Math.max(0, x0); x < Math.min(image.width, x1); x++) {
+    if (
+      longestRun(image, "y", x, Math.max(0, y0), Math.min(image.height, y1)) >=
+      height * MIN_RULING_LENGTH
+    ) {
+      vertical.push(x);
+    }
+  }
+
+  return {
+    horizontal: mergePositions(horizontal),
+    vertical: mergePositions(vertical),
+  };
+}
+
+// Fraction of a boundary segment covered by ink, to tell whether a ruling
+// really separates two cells or is missing there (a spanning cell)
+function segmentCoverage(image, axis, fixed, from, to) {
+  if (!image || to <= from) return 0;
+  let ink = 0;
+  for (let v = from; v < to; v++) {
+    // Rulings can be antialiased over a couple of pixels
+    const hit = [-1, 0, 1].some((d) =>
+      axis === "x"
+        ? isInk(image, v, Math.min(image.height - 1, Math.max(0, fixed + d)))
+        : isInk(image, Math.min(image.width - 1, Math.max(0, fixed + d)), v)
+    );
+    if (hit) ink++;
+  }
+  return ink / (to - from);
+}
+
+// Column boundaries at vertical whitespace gutters between words
+function whitespaceColumns(words, bbox) {
+  const minGutter = (bbox[2] - bbox[0]) * MIN_COLUMN_GUTTER;
+  const spans = words
+    .map((w) => [w.bbox[0], w.bbox[2]])
+    .sort((a, b) => a[0] - b[0]);
+
+  const boundaries = [];
+  let end = spans.length ? spans[0][1] : 0;
+  for (const [start, stop] of spans.slice(1)) {
+    if (start - end >= minGutter) {
+      boundaries.push(Math.round((start + end) / 2));
+    }
+    end = Math.max(end, stop);
+  }
+  return boundaries;
+}
+
+// Row boundaries halfway between consecutive text lines
+function whitespaceRows(lines) {
+  const boundaries = [];
+  for (let i = 1; i < lines.length; i++) {
+    boundaries.push(Math.round((lines[i - 1].bottom + lines[i].top) / 2));
+  }
+  return boundaries;
+}
+
+// Interior ruling positions, ignoring the table's own border
+function interior(positions, from, to) {
+  return positions.filter(
+    (p) => p - from > RULING_MERGE_DISTANCE && to - p > RULING_MERGE_DISTANCE
+  );
+}
+
+function escapeCsv(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// CSV of the grid; a spanning cell's text sits in its top-left position
+export function tableToCsv(table) {
+  const grid = Array.from({ length: table.rows }, () =>
+    Array(table.cols).fill("")
+  );
+  for (const cell of table.cells) grid[cell.row][cell.col] = cell.text;
+  return grid.map((row) => row.map(escapeCsv).join(",")).join("\n") + "\n";
+}
+
+// Markdown pipe table with the first row as header. Pipe tables have no
+// spans, so a spanning cell's text sits in its top-left position.
+export function tableToMarkdown(table) {
+  const grid = Array.from({ length: table.rows }, () =>
+    Array(table.cols).fill("")
+  );
+  for (const cell of table.cells) {
+    grid[cell.row][cell.col] = cell.text
+      .replace(/\|/g, "\\|")
+      .replace(/\s*\n\s*/g, " ");
+  }
+  const row = (cells) => `| ${cells.join(" | ")} |`;
+  return [
+    row(grid[0]),
+    row(Array(table.cols).fill("---")),
+    ...grid.slice(1).map(row),
+  ].join("\n");
+}
+
+// HTML <table> with rowspan/colspan, and a <caption> when given
+export function tableToHtml(table, caption = null) {
+  const rows = Array.from({ length: table.rows }, () => []);
+  for (const cell of table.cells) rows[cell.row].push(cell);
+
+  const body = rows
+    .map((cells) => {
+      const tds = cells
+        .sort((a, b) => a.col - b.col)
+        .map((cell) => {
+          const attrs =
+            (cell.rowSpan > 1 ? ` rowspan="${cell.rowSpan}"` : "") +
+            (cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : "");
+          return `<td${attrs}>${escapeHtml(cell.text)}</td>`;
+        })
+        .join("");
+      return `  <tr>${tds}</tr>`;
+    })
+    .join("\n");
+  const captionRow = caption
+    ? `  <caption>${escapeHtml(caption)}</caption>\n`
+    : "";
+  return `<table>\n${captionRow}${body}\n</table>`;
+}
+
+// Plain text of the table, one row per line, cells separated by " | "
+export function tableToText(table) {
+  const grid = Array.from({ length: table.rows }, () => []);
+  for (const cell of table.cells) grid[cell.row].push(cell);
+  return grid
+    .map((cells) =>
+      cells
+        .sort((a, b) => a.col - b.col)
+        .map((cell) => cell.text)
+        .join(" | ")
+    )
+    .join("\n");
+}
+
+// Recognise the structure of a table region: rows and columns from ruling
+// lines when the table has them, otherwise from whitespace gutters between
+// the words; words are assigned to cells by their centre. Spanning cells come
+// from ruling segments missing inside the table, or from words crossing a
+// whitespace column boundary.
+// `image` is a RawImage-like { data, width, height, channels } (optional:
+// without it only whitespace is used), `words` are { text, bbox } in page
+// pixels. Returns { method, rows, cols, cells, csv, html } or null.
+export function recognizeTableStructure(image, bbox, words) {
+  const [x0, y0, x1, y1] = bbox;
+  const rulings = image
+    ? detectRulings(image, bbox)
+    : { horizontal: [], vertical: [] };
+  const lines = groupWordsIntoLines(words);
+
+  const ruledCols = interior(rulings.vertical, x0, x1);
+  // Horizontal rules without vertical ones are usually just header and
+  // footer rules (booktabs style), so such tables keep whitespace rows
+  const ruledRows =
+    ruledCols.length > 0 ? interior(rulings.horizontal, y0, y1) : [];
+  const ruled = ruledCols.length > 0;
+
+  const colBoundaries =
+    ruledCols.length > 0 ? ruledCols : whitespaceColumns(words, bbox);
+  const rowBoundaries =
+    ruledRows.length > 0 ? ruledRows : whitespaceRows(lines);
+  if (words.length === 0 && !ruled) return null;
+
+  const xs = [x0, ...colBoundaries, x1];
+  const ys = [y0, ...rowBoundaries, y1];
+  const rows = ys.length - 1;
+  const cols = xs.length - 1;
+
+  // Is the boundary right of (r, c) / below (r, c) really there?
+  const hasVerticalBoundary = (r, c) => {
+    const x = xs[c + 1];
+    if (ruledCols.length > 0) {
+      return (
+        segmentCoverage(image, "y", x, ys[r] + 2, ys[r + 1] - 2) >=
+        SEGMENT_COVERAGE
+      );
+    }
+    // Whitespace column: a word crossing it makes the cell span
+    return !words.some((w) => {
+      const cy = (w.bbox[1] + w.bbox[3]) / 2;
+      return (
+        cy >= ys[r] &&
+        cy < ys[r + 1] &&
+        w.bbox[0] < x - SPAN_TOLERANCE &&
+        w.bbox[2] > x + SPAN_TOLERANCE
+      );
+    });
+  };
+  const hasHorizontalBoundary = (r, c) => {
+    if (ruledRows.length === 0) return true;
+    return (
+      segmentCoverage(image, "x", ys[r + 1], xs[c] + 2, xs[c + 1] - 2) >=
+      SEGMENT_COVERAGE
+    );
+  };
+
+  // Walk the grid row by row, growing each cell right and down over
+  // missing boundaries
+  const covered = Array.from({ length: rows }, () => Array(cols).fill(false));
+  const cells = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (covered[r][c]) continue;
+
+      let colSpan = 1;
+      while (c + colSpan < cols && !hasVerticalBoundary(r, c + colSpan - 1)) {
+        colSpan++;
+      }
+      let rowSpan = 1;
+      while (
+        r + rowSpan < rows &&
+        Array.from({ length: colSpan }, (_, k) => c + k).every(
+          (col) =>
+            !hasHorizontalBoundary(r + rowSpan - 1, col) &&
+            !covered[r + rowSpan][col]
+        )
+      ) {
+        rowSpan++;
+      }
+
+      for (let rr = r; rr < r + rowSpan; rr++) {
+        for (let cc = c; cc < c + colSpan; cc++) covered[rr][cc] = true;
+      }
+
+      const cellBox = [xs[c], ys[r], xs[c + colSpan], ys[r + rowSpan]];
+      const cellWords = words.filter((w) => {
+        const cx = (w.bbox[0] + w.bbox[2]) / 2;
+        const cy = (w.bbox[1] + w.bbox[3]) / 2;
+        return (
+          cx >= cellBox[0] &&
+          cx < cellBox[2] &&
+          cy >= cellBox[1] &&
+          cy < cellBox[3]
+        );
+      });
+      const text = groupWordsIntoLines(cellWords)
+        .map((line) =>
+          line.words
+            .sort((a, b) => a.bbox[0] - b.bbox[0])
+            .map((w) => w.text)
+            .join(" ")
+        )
+        .join(" ")
+        .trim();
+
+      cells.push({ row: r, col: c, rowSpan, colSpan, text, bbox: cellBox });
+    }
+  }
+
+  const table = { method: ruled ? "ruled" : "whitespace", rows, cols, cells };
+  return { ...table, csv: tableToCsv(table), html: tableToHtml(table) };
+}
@@ -0,0 +1,90 @@
+// chunking.test.js
+// buildChunks() on small document structures
+import assert from "assert/strict";
+import { test } from "node:test";
+import { buildChunks } from "../chunking.js";
+
+const node = (id, type, content) => ({
+  id,
+  type,
+  content,
+  page: 1,
+  bbox: [0, 0, 100, 20],
+  bbox_normalized: [0, 0, 0.1, 0.02],
+});
+
+const section = (title, children) => ({
+  id: `section_${title}`,
+  title,
+  level: "H1",
+  bbox: [0, 0, 100, 20],
+  children,
+});
+
+const fixtures = [
+  {
+    name: "list items are never split after their number",
+    structure: [
+      section("Steps", [
+        node("intro", "text", "Follow these steps. They are short."),
+        node("item1", "list_item", "1. first item"),
+        node("item2", "list_item", "2. second item"),
+        node("item3", "list_item", "3. third item"),
+      ]),
+    ],
+    options: { maxTokens: 6, overlapTokens: 2 },
+    check: (chunks) => {
+      for (const chunk of chunks) {
+        assert.doesNotMatch(chunk.text, /(^|\n)\d\.$/m, chunk.text);
+        assert.doesNotMatch(chunk.text, /^first|^second|^third/, chunk.text);
+      }
+      const withItem1 = chunks.filter((c) => c.elementIds.includes("item1"));
+      assert.ok(withItem1.every((c) => c.text.includes("1. first item")));
+    },
+  },
+  {
+    name: "abbreviations and initials do not end a sentence",
+    structure: [
+      section("Results", [
+        node(
+          "p1",
+          "text",
+          "As Fig. 3 shows, small inputs, e.g. single pages, are fast. J. Smith agrees."
+        ),
+      ]),
+    ],
+    options: { maxTokens: 20, overlapTokens: 12 },
+    check: (chunks) => {
+      assert.deepEqual(
+        chunks.map((c) => c.text),
+        [
+          "As Fig. 3 shows, small inputs, e.g. single pages, are fast.",
+          "J. Smith agrees.",
+        ]
+      );
+    },
+  },
+  {
+    name: "chunks stay inside their section and carry its heading path",
+    structure: [
+      section("Intro", [node("a", "text", "Alpha.")]),
+      section("Methods", [node("b", "text", "Beta.")]),
+    ],
+    options: {},
+    check: (chunks) => {
+      assert.deepEqual(
+        chunks.map((c) => [c.heading, c.elementIds]),
+        [
+          ["Intro", ["a"]],
+          ["Methods", ["b"]],
+        ]
+      );
+    },
+  },
+];
+
+for (const fixture of fixtures) {
+  test(fixture.name, () => {
+    fixture.check(buildChunks(fixture.structure, fixture.options));
+  });
+}
@@ -0,0 +1,154 @@
+// detection_postprocess.test.js
+// postprocessDetections() on bbox fixtures, without the model
+import assert from "assert/strict";
+import { test } from "node:test";
+import { postprocessDetections } from "../detection_postprocess.js";
+
+const PAGE = { pageWidth: 1000, pageHeight: 1000 };
+
+const box = (id, label, bbox, score) => ({ id, label, bbox, score });
+
+const ids = (detections) => detections.map((d) => d.id).sort();
+
+const fixtures = [
+  {
+    name: "NMS keeps the best of two same-class duplicates",
+    candidates: [
+      box("a", "Text", [100, 100, 500, 200], 0.9),
+      box("b", "Text", [105, 102, 505, 205], 0.7),
+    ],
+    check: ({ detections, suppressed }) => {
+      assert.deepEqual(ids(detections), ["a"]);
+      assert.equal(suppressed, 1);
+    },
+  },
+  {
+    name: "NMS keeps same-class boxes that barely overlap",
+    candidates: [
+      box("a", "Text", [100, 100, 500, 200], 0.9),
+      box("b", "Text", [100, 300, 500, 400], 0.8),
+    ],
+    check: ({ detections }) => {
+      assert.deepEqual(ids(detections), ["a", "b"]);
+    },
+  },
+  {
+    name: "cross-class duplicate goes to the higher priority class",
+    candidates: [
+      box("table", "Table", [100, 100, 600, 400], 0.6),
+      box("text", "Text", [100, 100, 600, 400], 0.9),
+    ],
+    check: ({ detections }) => {
+      assert.deepEqual(ids(detections), ["table"]);
+      assert.equal(detections[0].score, 0.9); // the duplicate vouches for it
+    },
+  },
+  {
+    name: "a Text partly under a Table is trimmed to the part outside it",
+    candidates: [
+      box("table", "Table", [100, 100, 600, 400], 0.8),
+      box("text", "Text", [100, 300, 600, 500], 0.9),
+    ],
+    check: ({ detections, suppressed }) => {
+      assert.deepEqual(ids(detections), ["table", "text"]);
+      const text = detections.find((d) => d.id === "text");
+      assert.deepEqual(text.bbox, [100, 400, 600, 500]);
+      assert.equal(suppressed, 0);
+    },
+  },
+  {
+    name: "a Text over a Table corner keeps its largest part outside it",
+    candidates: [
+      box("table", "Table", [100, 100, 600, 400], 0.8),
+      box("text", "Text", [200, 300, 900, 450], 0.9),
+    ],
+    check: ({ detections }) => {
+      const text = detections.find((d) => d.id === "text");
+      assert.deepEqual(text.bbox, [600, 300, 900, 450]);
+    },
+  },
+  {
+    name: "a Text barely touching a Table is left alone",
+    candidates: [
+      box("table", "Table", [100, 100, 600, 400], 0.8),
+      box("text", "Text", [100, 390, 600, 500], 0.9),
+    ],
+    check: ({ detections }) => {
+      assert.deepEqual(
+        detections.map((d) => d.bbox),
+        [
+          [100, 100, 600, 400],
+          [100, 390, 600, 500],
+        ]
+      );
+    },
+  },
+  {
+    name: "a Text nested in a Table is dropped",
+    candidates: [
+      box("table", "Table", [100, 100, 600, 400], 0.8),
+      box("cell", "Text", [150, 150, 300, 200], 0.9),
+    ],
+    check: ({ detections }) => {
+      assert.deepEqual(ids(detections), ["table"]);
+    },
+  },
+  {
+    name: "a Section-header nested in a Text box survives",
+    candidates: [
+      box("text", "Text", [100, 100, 600, 400], 0.8),
+      box("heading", "Section-header", [110, 110, 400, 140], 0.9),
+    ],
+    check: ({ detections }) => {
+      assert.deepEqual(ids(detections), ["heading", "text"]);
+    },
+  },
+  {
+    name: "stacked Text fragments merge into one paragraph",
+    candidates: [
+      box("top", "Text", [100, 100, 600, 150], 0.8),
+      box("bottom", "Text", [102, 153, 598, 200], 0.7),
+    ],
+    check: ({ detections, merged }) => {
+      assert.equal(merged, 1);
+      assert.equal(detections.length, 1);
+      assert.deepEqual(detections[0].bbox, [100, 100, 600, 200]);
+      assert.equal(detections[0].mergedFrom, 2);
+    },
+  },
+  {
+    name: "Text boxes in separate columns or far apart are not merged",
+    candidates: [
+      box("left", "Text", [100, 100, 450, 150], 0.8),
+      box("right", "Text", [550, 153, 900, 200], 0.8),
+      box("below", "Text", [100, 300, 450, 350], 0.8),
+    ],
+    check: ({ detections, merged }) => {
+      assert.equal(merged, 0);
+      assert.deepEqual(ids(detections), ["below", "left", "right"]);
+    },
+  },
+  {
+    name: "disabled post-processing returns the candidates unchanged",
+    candidates: [
+      box("a", "Text", [100, 100, 500, 200], 0.9),
+      box("b", "Text", [100, 100, 500, 200], 0.7),
+    ],
+    options: { enabled: false },
+    check: ({ detections, suppressed }) => {
+      assert.deepEqual(ids(detections), ["a", "b"]);
+      assert.equal(suppressed, 0);
+    },
+  },
+];
+
+for (const fixture of fixtures) {
+  test(fixture.name, () => {
+    fixture.check(
+      postprocessDetections(fixture.candidates, {
+        ...PAGE,
+        ...fixture.options,
+      })
+    );
+  });
+}
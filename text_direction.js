@@ -0,0 +1,117 @@
+// text_direction.js
+
+// Reading directions: left-to-right lines, right-to-left lines (Arabic,
+// Hebrew) and top-to-bottom columns read right to left (vertical CJK)
+export const TEXT_DIRECTIONS = ["ltr", "rtl", "ttb"];
+
+// Scripts written right to left
+export const RTL_SCRIPTS = new Set(["Arabic", "Hebrew"]);
+
+// Scripts that are also set vertically
+export const VERTICAL_SCRIPTS = new Set(["Japanese", "Chinese", "Korean"]);
+
+// Tesseract models trained on vertical text
+const VERTICAL_MODELS = {
+  jpn: "jpn_vert",
+  chi_sim: "chi_sim_vert",
+  chi_tra: "chi_tra_vert",
+  kor: "kor_vert",
+};
+
+const DARK_LUMINANCE = 128;
+const MIN_GAP_RATIO = 0.25; // blank space per inked span between text lines
+const VERTICAL_DOMINANCE = 2; // column gaps must clearly beat row gaps
+
+// Map a box so that text in `direction` reads like left-to-right text: lines
+// top to bottom and words left to right. Only the order of the results is
+// meaningful, so mirrored coordinates are simply negated.
+export function readingBox(box, direction = "ltr") {
+  if (direction === "rtl") return [-box[2], box[1], -box[0], box[3]];
+  if (direction === "ttb") return [box[1], -box[2], box[3], -box[0]];
+  return box;
+}
+
+// Direction of a script's lines when they are set horizontally
+export function scriptDirection(script) {
+  return RTL_SCRIPTS.has(script) ? "rtl" : "ltr";
+}
+
+// Tesseract language setting for vertical text: "jpn+eng" -> "jpn_vert+eng"
+export function verticalLanguage(language) {
+  return language
+    .split("+")
+    .map((lang) => VERTICAL_MODELS[lang] || lang)
+    .join("+");
+}
+
+// Whether a language setting includes a vertical model
+export function isVerticalLanguage(language) {
+  return language.split("+").some((lang) => lang.endsWith("_vert"));
+}
+
+// Blank space between inked stretches along one axis, as a fraction of the
+// inked length. Lines of text are separated by wider gaps than characters,
+// so the axis across the lines has the larger ratio.
+function gapRatio(profile) {
+  const first = profile.findIndex((count) => count > 0);
+  if (first === -1) return 0;
+  let last = profile.length - 1;
+  while (profile[last] === 0) last--;
+
+  let blank = 0;
+  for (let i = first; i <= last; i++) {
+    if (profile[i] === 0) blank++;
+  }
+  const inked = last - first + 1 - blank;
+  return inked > 0 ? blank / inked : 0;
+}
+
+// "vertical" or "horizontal" for the text in a region of the page image, or
+// null when the region has no ink. Compares the whitespace between inked
+// rows with the whitespace between inked columns.
+export function textOrientation(image, bbox) {
+  const { data, width, channels } = image;
+  const x0 = Math.max(0, Math.floor(bbox[0]));
+  const y0 = Math.max(0, Math.floor(bbox[1]));
+  const x1 = Math.min(width, Math.ceil(bbox[2]));
+  const y1 = Math.min(image.height, Math.ceil(bbox[3]));
+  if (x1 <= x0 || y1 <= y0) return null;
+
+  const rows = new Uint32Array(y1 - y0);
+  const columns = new Uint32Array(x1 - x0);
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = (y * width + x) * channels;
+      const luminance =
+        channels >= 3
+          ? (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000
+          : data[i];
+      if (luminance < DARK_LUMINANCE) {
+        rows[y - y0]++;
+        columns[x - x0]++;
+      }
+    }
+  }
+  if (rows.every((count) => count === 0)) return null;
+
+  const rowGaps = gapRatio(rows);
+  const columnGaps = gapRatio(columns);
+  return columnGaps >= MIN_GAP_RATIO &&
+    columnGaps > rowGaps * VERTICAL_DOMINANCE
+    ? "vertical"
+    : "horizontal";
+}
+
+// Whether a page is set vertically: the orientations of its text regions,
+// weighted by their area
+export function isVerticalPage(image, regions) {
+  let vertical = 0;
+  let horizontal = 0;
+  for (const { bbox } of regions) {
+    const area = (bbox[2] - bbox[0]) * (bbox[3] - bbox[1]);
+    const orientation = textOrientation(image, bbox);
+    if (orientation === "vertical") vertical += area;
+    if (orientation === "horizontal") horizontal += area;
+  }
+  return vertical > horizontal;
+}
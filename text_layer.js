@@ -0,0 +1,141 @@
+// text_layer.js
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+const PAGE_PATTERN =
+  /<page width="([\d.]+)" height="([\d.]+)">([\s\S]*?)<\/page>/g;
+const WORD_PATTERN =
+  /<word xMin="([\d.]+)" yMin="([\d.]+)" xMax="([\d.]+)" yMax="([\d.]+)">([\s\S]*?)<\/word>/g;
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, "&");
+}
+
+// Parse `pdftotext -bbox` XHTML into pages of words in PDF points (top-left
+// origin). Pages are numbered from `firstPage`, the `-f` page of the run.
+export function parseBboxHtml(html, firstPage = 1) {
+  const pages = [];
+
+  for (const [, width, height, body] of html.matchAll(PAGE_PATTERN)) {
+    const words = [];
+    for (const [, xMin, yMin, xMax, yMax, text] of body.matchAll(
+      WORD_PATTERN
+    )) {
+      const decoded = decodeEntities(text).trim();
+      if (!decoded) continue;
+      words.push({
+        bbox: [
+          parseFloat(xMin),
+          parseFloat(yMin),
+          parseFloat(xMax),
+          parseFloat(yMax),
+        ],
+        text: decoded,
+      });
+    }
+    pages.push({
+      pageNumber: firstPage + pages.length,
+      width: parseFloat(width),
+      height: parseFloat(height),
+      words,
+    });
+  }
+
+  return pages;
+}
+
+// Consecutive page numbers as [first, last] runs: [1, 2, 3, 7] -> [[1, 3], [7, 7]]
+function pageRuns(pageNumbers) {
+  const runs = [];
+  for (const page of pageNumbers) {
+    const run = runs[runs.length - 1];
+    if (run && page === run[1] + 1) {
+      run[1] = page;
+    } else {
+      runs.push([page, page]);
+    }
+  }
+  return runs;
+}
+
+// Read the embedded text layer with poppler's pdftotext, only for the given
+// sorted page numbers (every page when null). Returns a Map from page number
+// to page layer, or null when pdftotext is not installed or the PDF can't be
+// read.
+export async function extractTextLayer(pdfPath, pageNumbers = null) {
+  try {
+    const ranges = pageNumbers ? pageRuns(pageNumbers) : [null];
+    const layer = new Map();
+    for (const range of ranges) {
+      const pageArgs = range
+        ? ["-f", String(range[0]), "-l", String(range[1])]
+        : [];
+      const { stdout } = await execFileAsync(
+        "pdftotext",
+        ["-bbox", "-enc", "UTF-8", ...pageArgs, pdfPath, "-"],
+        { maxBuffer: 256 * 1024 * 1024 }
+      );
+      for (const page of parseBboxHtml(stdout, range ? range[0] : 1)) {
+        layer.set(page.pageNumber, page);
+      }
+    }
+    return layer;
+  } catch (error) {
+    console.warn("⚠️  PDF text layer not available:", error.message);
+    return null;
+  }
+}
+
+// A page without any embedded words is treated as scanned
+export function hasTextLayer(pageLayer) {
+  return Boolean(pageLayer && pageLayer.words.length > 0);
+}
+
+// Collect the words whose centre falls inside a pixel bbox of the rendered
+// page, with their boxes converted to pixels of that image. The bbox is mapped
+// back to PDF points using the rendered image size.
+export function getWordsInRegion(pageLayer, bbox, imageWidth, imageHeight) {
+  if (!hasTextLayer(pageLayer)) return [];
+
+  const sx = pageLayer.width / imageWidth;
+  const sy = pageLayer.height / imageHeight;
+  const [xMin, yMin, xMax, yMax] = [
+    bbox[0] * sx,
+    bbox[1] * sy,
+    bbox[2] * sx,
+    bbox[3] * sy,
+  ];
+
+  return pageLayer.words
+    .filter((word) => {
+      const cx = (word.bbox[0] + word.bbox[2]) / 2;
+      const cy = (word.bbox[1] + word.bbox[3]) / 2;
+      return cx >= xMin && cx <= xMax && cy >= yMin && cy <= yMax;
+    })
+    .map((word) => ({
+      text: word.text,
+      bbox: [
+        Math.round(word.bbox[0] / sx),
+        Math.round(word.bbox[1] / sy),
+        Math.round(word.bbox[2] / sx),
+        Math.round(word.bbox[3] / sy),
+      ],
+    }));
+}
+
+// Text of the words inside a pixel bbox of the rendered page
+export function getTextInRegion(pageLayer, bbox, imageWidth, imageHeight) {
+  return getWordsInRegion(pageLayer, bbox, imageWidth, imageHeight)
+    .map((word) => word.text)
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
@@ -0,0 +1,75 @@
+// thresholds.js
+import fs from "fs/promises";
+import { LAYOUT_LABELS } from "./layout_labels.js";
+
+function isValidThreshold(value) {
+  return typeof value === "number" && value >= 0 && value <= 1;
+}
+
+// Minimum score for a detection of this label: its own threshold when one is
+// configured, otherwise the default confidenceThreshold
+export function getClassThreshold(label, config) {
+  return config.classThresholds?.[label] ?? config.confidenceThreshold;
+}
+
+// Check a { label: threshold } map against the model's labels
+export function validateClassThresholds(classThresholds) {
+  for (const [label, value] of Object.entries(classThresholds || {})) {
+    if (!LAYOUT_LABELS.includes(label)) {
+      throw new Error(
+        `Unknown label "${label}" in class thresholds (expected ${LAYOUT_LABELS.join(
+          ", "
+        )})`
+      );
+    }
+    if (!isValidThreshold(value)) {
+      throw new Error(
+        `Threshold for ${label} must be a number between 0 and 1, got ${JSON.stringify(
+          value
+        )}`
+      );
+    }
+  }
+}
+
+// Load a thresholds file: { "default": 0.5, "Formula": 0.3, "Text": 0.6 }.
+// Returns { confidenceThreshold, classThresholds }; confidenceThreshold is
+// undefined when the file has no "default".
+export async function loadThresholds(filePath) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Could not read thresholds file ${filePath}: ${error.message}`
+    );
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Thresholds file ${filePath} must contain a JSON object`);
+  }
+
+  const { default: confidenceThreshold, ...classThresholds } = data;
+  if (
+    confidenceThreshold !== undefined &&
+    !isValidThreshold(confidenceThreshold)
+  ) {
+    throw new Error(
+      `"default" in ${filePath} must be a number between 0 and 1, got ${JSON.stringify(
+        confidenceThreshold
+      )}`
+    );
+  }
+  validateClassThresholds(classThresholds);
+
+  return { confidenceThreshold, classThresholds };
+}
+
+// Write thresholds in the format read by loadThresholds()
+export async function saveThresholds(
+  filePath,
+  confidenceThreshold,
+  classThresholds
+) {
+  const data = { default: confidenceThreshold, ...classThresholds };
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2) + "\n");
+}